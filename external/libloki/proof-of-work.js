@@ -1,8 +1,12 @@
 const bb = require('bytebuffer')
 const JSBI = require('jsbi')
 const crypto = require('isomorphic-webcrypto')
+const nodeCrypto = require('crypto')
 
 const NONCE_LEN = 8
+const SHA512_LEN = 64
+// how many nonces calcPoWSync tries between checking if it should stop
+const STOP_CHECK_INTERVAL = 1024
 // Modify this value for difficulty scaling
 const FALLBACK_DIFFICULTY = 10
 
@@ -107,6 +111,43 @@ const pow = {
     return pow.bufferToBase64(nonce)
   },
 
+  // Same as calcPoW but with node's synchronous sha512, for worker threads
+  // stop is checked every so often, returns undefined if it returns true
+  calcPoWSync(
+    timestamp,
+    ttl,
+    pubKey,
+    data,
+    _difficulty = null,
+    increment = 1,
+    startNonce = 0,
+    stop = () => false
+  ) {
+    const payload = Buffer.from(
+      timestamp.toString() + ttl.toString() + pubKey + data,
+      'binary'
+    )
+
+    const difficulty = _difficulty || FALLBACK_DIFFICULTY
+    const target = pow.calcTarget(ttl, payload.length, difficulty)
+
+    let nonce = new Uint8Array(NONCE_LEN)
+    nonce = pow.incrementNonce(nonce, startNonce) // initial value
+    const innerPayload = Buffer.alloc(SHA512_LEN + NONCE_LEN)
+    nodeCrypto.createHash('sha512').update(payload).digest().copy(innerPayload, NONCE_LEN)
+    for (let tries = 0; ; tries += 1) {
+      if (tries % STOP_CHECK_INTERVAL === 0 && stop()) {
+        return
+      }
+      innerPayload.set(nonce)
+      const trialValue = nodeCrypto.createHash('sha512').update(innerPayload).digest().subarray(0, NONCE_LEN)
+      if (!pow.greaterThan(trialValue, target)) {
+        return pow.bufferToBase64(nonce)
+      }
+      nonce = pow.incrementNonce(nonce, increment)
+    }
+  },
+
   calcTarget(ttl, payloadLen, difficulty = FALLBACK_DIFFICULTY) {
     // payloadLength + NONCE_LEN
     const totalLen = JSBI.add(JSBI.BigInt(payloadLen), JSBI.BigInt(NONCE_LEN))
@@ -8,7 +8,8 @@ const AVATAR_USER_ANNOTATION_TYPE = 'network.loki.messenger.avatar'
 
 // generic ADN "POST files" function
 // used by uploadEncryptedFile and other direct calls for attachments
-async function uploadFile(baseUrl, token, type, filename, data, notes) {
+// netLib is the transport, lib.js or an onion lib
+async function uploadFile(baseUrl, token, type, filename, data, notes, netLib = lib) {
   const buf = Buffer.from(data)
   //console.log('file type', typeof(data), 'length', data.length)
   //console.log('buffer type', typeof(buf), 'length', buf.byteLength)
@@ -26,10 +27,12 @@ async function uploadFile(baseUrl, token, type, filename, data, notes) {
   }
   let fileRes
   try {
-    fileRes = await lib.jsonAsk(baseUrl + 'files?access_token=' + token, {
+    fileRes = await netLib.jsonAsk(baseUrl + 'files?access_token=' + token, {
       method: 'POST',
       body: formData,
-      headers: formData.getHeaders()
+      headers: formData.getHeaders(),
+      // onion requests can't send multipart
+      fileUpload: buf
     })
   } catch (e) {
     console.error('attachments::uploadFile - err', e)
@@ -49,17 +52,17 @@ const notes = [{
   }
 }]
 */
-async function uploadEncryptedAvatar(baseUrl, token, sessionID, imgData, notes) {
+async function uploadEncryptedAvatar(baseUrl, token, sessionID, imgData, notes, netLib = lib) {
   // encrypt
   const profileKeyBuf = crypto.randomBytes(32) // Buffer (object)
   const finalBuf = loki_crypto.encryptGCM(profileKeyBuf, imgData)
   const type = 'moe.sapphire.tractorbeam.session.avatar'
   const filename = sessionID + '_avatar.jpg'
   // upload to OG server
-  const fileUrl = await uploadFile(baseUrl, token, type, filename, finalBuf, notes)
+  const fileUrl = await uploadFile(baseUrl, token, type, filename, finalBuf, notes, netLib)
   // now set in the user profile (PATCH /users/me)
   // result shouldn't matter
-  await lib.jsonAsk(baseUrl + 'users/me?access_token=' + token, {
+  await netLib.jsonAsk(baseUrl + 'users/me?access_token=' + token, {
     method: 'PATCH',
     headers: {
       'Content-Type': 'application/json'
@@ -81,7 +84,7 @@ async function uploadEncryptedAvatar(baseUrl, token, sessionID, imgData, notes)
 }
 
 // returns a buffer
-async function downloadEncryptedAvatar(url, keyBuf) {
+async function downloadEncryptedAvatar(url, keyBuf, netLib = lib) {
   if (!Buffer.isBuffer(keyBuf)) {
     console.trace('lib::downloadEncryptedAvatar - non buffer passed in as key')
     return
@@ -91,15 +94,15 @@ async function downloadEncryptedAvatar(url, keyBuf) {
     return
   }
 
-  const ivCiphertextAndTag = await lib.bufferAsk(url) // binary download
+  const ivCiphertextAndTag = await netLib.bufferAsk(url) // binary download
   // returns a buffer
   const file = loki_crypto.decryptGCM(keyBuf, ivCiphertextAndTag)
   return file
 }
 
-async function getAvatar(fSrvUrl, pubkeyHex) {
-  const res = await lib.jsonAsk(fSrvUrl + 'users/@' + pubkeyHex + '?include_annotations=1')
-  if (res.meta.code !== 200 || !res.data) {
+async function getAvatar(fSrvUrl, pubkeyHex, netLib = lib) {
+  const res = await netLib.jsonAsk(fSrvUrl + 'users/@' + pubkeyHex + '?include_annotations=1')
+  if (!res || !res.meta || res.meta.code !== 200 || !res.data) {
     console.error('attachments::getAvatar - error', res)
     return
   }
@@ -116,10 +119,10 @@ async function getAvatar(fSrvUrl, pubkeyHex) {
   }
 }
 
-async function getToken(fSrvUrl, privKey, pubkeyHex) {
+async function getToken(fSrvUrl, privKey, pubkeyHex, netLib = lib) {
   const chalUrl = fSrvUrl + 'loki/v1/get_challenge?pubKey=' + pubkeyHex
-  const data = await lib.jsonAsk(chalUrl)
-  if (!data.cipherText64 || !data.serverPubKey64) {
+  const data = await netLib.jsonAsk(chalUrl)
+  if (!data || !data.cipherText64 || !data.serverPubKey64) {
     console.error('lib::getToken - data', typeof (data), data)
     return
   }
@@ -134,7 +137,7 @@ async function getToken(fSrvUrl, privKey, pubkeyHex) {
   const subUrl = fSrvUrl + 'loki/v1/submit_challenge'
   let activateRes
   try {
-    activateRes = await lib.textAsk(subUrl, {
+    activateRes = await netLib.textAsk(subUrl, {
       method: 'POST',
       body: JSON.stringify({
         token: token,
@@ -156,12 +159,12 @@ async function getToken(fSrvUrl, privKey, pubkeyHex) {
 }
 
 // FIXME: mime type, filename
-async function uploadEncryptedAttachment(homeSrvUrl, data) {
+async function uploadEncryptedAttachment(homeSrvUrl, data, netLib = lib) {
   const keysBuf = crypto.randomBytes(64) // aes(32) and mac(32)
   const ivCiphertextAndMac = await loki_crypto.encryptCBC(keysBuf, data)
   // FIXME: these two actions can be done in parallel
   const url = await uploadFile(homeSrvUrl, 'loki',
-    'org.getsession.attachment', 'images.jpeg', ivCiphertextAndMac)
+    'org.getsession.attachment', 'images.jpeg', ivCiphertextAndMac, undefined, netLib)
   const digest = crypto.createHash('sha256').update(ivCiphertextAndMac).digest()
   return {
     key: keysBuf.toString('base64'),
@@ -173,8 +176,8 @@ async function uploadEncryptedAttachment(homeSrvUrl, data) {
   }
 }
 
-async function downloadEncryptedAttachment(url, keys) {
-  const ivCiphertextAndMac = await lib.bufferAsk(url) // binary download
+async function downloadEncryptedAttachment(url, keys, netLib = lib) {
+  const ivCiphertextAndMac = await netLib.bufferAsk(url) // binary download
   // CBC strips the trailing mac off
   const fileDataBuf = loki_crypto.decryptCBC(keys, ivCiphertextAndMac)
   return fileDataBuf
@@ -0,0 +1,263 @@
+const crypto = require('crypto')
+const libsignal = require('libsignal')
+const protobuf = require('./protobuf.js')
+// eslint-disable-next-line camelcase
+const loki_crypto = require('./lib.loki_crypto.js')
+
+// closed (medium) groups
+// every group has its own x25519 keypair, the group's pubkey is its id and swarm
+// every member encrypts with their own sender key (hash ratchet)
+// and then the whole thing is encrypted again for the group's pubkey
+
+// how many skipped message keys we'll remember per sender
+const MAX_SKIPPED_KEYS = 1000
+
+// MediumGroupUpdate.Type
+const UPDATE_TYPES = {
+  NEW: 0,
+  INFO: 1,
+  SENDER_KEY: 2,
+  SENDER_KEY_REQUEST: 3,
+  QUIT: 4
+}
+
+function hmac(keyHex, byte) {
+  return crypto.createHmac('sha256', Buffer.from(keyHex, 'hex')).update(Buffer.from([byte])).digest()
+}
+
+function createRatchet() {
+  return {
+    chainKey: crypto.randomBytes(32).toString('hex'),
+    keyIndex: 0,
+    messageKeys: {}
+  }
+}
+
+// derive the message key for the current index and move the chain forward
+function stepRatchet(ratchet) {
+  const messageKey = hmac(ratchet.chainKey, 1)
+  ratchet.chainKey = hmac(ratchet.chainKey, 2).toString('hex')
+  ratchet.keyIndex++
+  return messageKey
+}
+
+// get the message key for keyIdx, remembering any we skip over
+function messageKeyFor(ratchet, keyIdx) {
+  if (keyIdx < ratchet.keyIndex) {
+    const messageKeyHex = ratchet.messageKeys[keyIdx]
+    if (!messageKeyHex) {
+      throw new Error('Message key ' + keyIdx + ' already used or too old')
+    }
+    delete ratchet.messageKeys[keyIdx]
+    return Buffer.from(messageKeyHex, 'hex')
+  }
+  if (keyIdx - ratchet.keyIndex > MAX_SKIPPED_KEYS) {
+    throw new Error('Message key ' + keyIdx + ' too far ahead of ' + ratchet.keyIndex)
+  }
+  while (ratchet.keyIndex < keyIdx) {
+    ratchet.messageKeys[ratchet.keyIndex] = stepRatchet(ratchet).toString('hex')
+  }
+  // don't let the skipped keys grow forever
+  const skipped = Object.keys(ratchet.messageKeys)
+  skipped.slice(0, Math.max(0, skipped.length - MAX_SKIPPED_KEYS)).forEach(idx => {
+    delete ratchet.messageKeys[idx]
+  })
+  return stepRatchet(ratchet)
+}
+
+class SessionClosedGroup {
+  constructor(options = {}) {
+    this.groupPublicKey = options.groupPublicKey // hex, also the group id
+    this.groupPrivateKey = options.groupPrivateKey // hex
+    this.name = options.name || ''
+    this.members = options.members || []
+    this.admins = options.admins || []
+    // pubkey => ratchet
+    this.senderKeys = options.senderKeys || {}
+    this.lastHash = options.lastHash || ''
+    // snode => lastHash, when retrieving from more than one
+    this.lastHashes = options.lastHashes || {}
+    // not persisted
+    // hash => when we first failed to decrypt it, see recv checkSwarm
+    this.undecoded = {}
+    // pubkey => when we last asked for their sender key
+    this.senderKeyRequests = {}
+  }
+
+  get id() {
+    return this.groupPublicKey
+  }
+
+  get keypair() {
+    return {
+      pubKey: Buffer.from(this.groupPublicKey, 'hex'),
+      privKey: Buffer.from(this.groupPrivateKey, 'hex')
+    }
+  }
+
+  isMember(pubkeyHex) {
+    return this.members.includes(pubkeyHex)
+  }
+
+  isAdmin(pubkeyHex) {
+    return this.admins.includes(pubkeyHex)
+  }
+
+  // start a new chain for us, so anyone removed can't read what we send next
+  resetRatchet(pubkeyHex) {
+    this.senderKeys[pubkeyHex] = createRatchet()
+    return this.senderKeys[pubkeyHex]
+  }
+
+  // MediumGroupUpdate.SenderKey for a member
+  getSenderKey(pubkeyHex) {
+    const ratchet = this.senderKeys[pubkeyHex] || this.resetRatchet(pubkeyHex)
+    return {
+      chainKey: Buffer.from(ratchet.chainKey, 'hex'),
+      keyIndex: ratchet.keyIndex,
+      publicKey: Buffer.from(pubkeyHex, 'hex')
+    }
+  }
+
+  // store a MediumGroupUpdate.SenderKey
+  setSenderKey(senderKey) {
+    const pubkeyHex = Buffer.from(senderKey.publicKey).toString('hex')
+    if (!this.isMember(pubkeyHex)) {
+      console.warn('closed_groups::setSenderKey - ignoring key from non-member', pubkeyHex, 'in', this.id)
+      return
+    }
+    this.senderKeys[pubkeyHex] = {
+      chainKey: Buffer.from(senderKey.chainKey).toString('hex'),
+      keyIndex: senderKey.keyIndex || 0,
+      messageKeys: {}
+    }
+  }
+
+  // update the member list, returns who was removed
+  setMembers(members, admins) {
+    const removed = this.members.filter(pubkeyHex => !members.includes(pubkeyHex))
+    this.members = members
+    if (admins) this.admins = admins
+    removed.forEach(pubkeyHex => {
+      delete this.senderKeys[pubkeyHex]
+    })
+    return removed
+  }
+
+  // paddedBuf is the padded Content protobuf
+  // returns MediumGroupContent bytes to put in the envelope
+  encrypt(paddedBuf, ourPubkeyHex) {
+    const ratchet = this.senderKeys[ourPubkeyHex] || this.resetRatchet(ourPubkeyHex)
+    const keyIdx = ratchet.keyIndex
+    const messageKey = stepRatchet(ratchet)
+    const rawCiphertext = {
+      ciphertext: loki_crypto.encryptGCM(messageKey, Buffer.from(paddedBuf)),
+      source: ourPubkeyHex,
+      keyIdx: keyIdx
+    }
+    const errMsg = protobuf.MediumGroupCiphertext.verify(rawCiphertext)
+    if (errMsg) console.error('rawCiphertext verification', errMsg)
+    const innerBuf = protobuf.MediumGroupCiphertext.encode(
+      protobuf.MediumGroupCiphertext.create(rawCiphertext)
+    ).finish()
+
+    // now encrypt for anyone that has the group's private key
+    const ephemeral = libsignal.curve.generateKeyPair()
+    const symKey = loki_crypto.makeOnionSymKey(ephemeral.privKey, this.keypair.pubKey)
+    const rawContent = {
+      ciphertext: loki_crypto.encryptGCM(symKey, innerBuf),
+      ephemeralKey: ephemeral.pubKey
+    }
+    const errMsg2 = protobuf.MediumGroupContent.verify(rawContent)
+    if (errMsg2) console.error('rawContent verification', errMsg2)
+    return protobuf.MediumGroupContent.encode(
+      protobuf.MediumGroupContent.create(rawContent)
+    ).finish()
+  }
+
+  // returns { source, plaintext }, { source, missingSenderKey: true }
+  // or { source, ours: true } for what we sent, our ratchet is already past it
+  decrypt(envContent, ourPubkeyHex) {
+    const groupContent = protobuf.MediumGroupContent.decode(envContent)
+    const symKey = loki_crypto.makeOnionSymKey(this.keypair.privKey, Buffer.from(groupContent.ephemeralKey))
+    const innerBuf = loki_crypto.decryptGCM(symKey, Buffer.from(groupContent.ciphertext))
+    const groupCiphertext = protobuf.MediumGroupCiphertext.decode(innerBuf)
+    const source = groupCiphertext.source
+    if (source === ourPubkeyHex) {
+      return { source, ours: true }
+    }
+    const ratchet = this.senderKeys[source]
+    if (!ratchet) {
+      return { source, missingSenderKey: true }
+    }
+    const messageKey = messageKeyFor(ratchet, groupCiphertext.keyIdx)
+    return {
+      source,
+      plaintext: loki_crypto.decryptGCM(messageKey, Buffer.from(groupCiphertext.ciphertext))
+    }
+  }
+
+  // MediumGroupUpdate protobuf fields, shared by NEW and INFO
+  getUpdate(type, options = {}) {
+    const update = {
+      type: type,
+      groupPublicKey: this.keypair.pubKey,
+      name: this.name,
+      members: this.members.map(pubkeyHex => Buffer.from(pubkeyHex, 'hex')),
+      admins: this.admins.map(pubkeyHex => Buffer.from(pubkeyHex, 'hex'))
+    }
+    if (type === UPDATE_TYPES.NEW) {
+      update.groupPrivateKey = this.keypair.privKey
+    }
+    if (options.senderKeys) {
+      update.senderKeys = options.senderKeys
+    }
+    return update
+  }
+
+  toJSON() {
+    return {
+      groupPublicKey: this.groupPublicKey,
+      groupPrivateKey: this.groupPrivateKey,
+      name: this.name,
+      members: this.members,
+      admins: this.admins,
+      senderKeys: this.senderKeys,
+      lastHash: this.lastHash,
+      lastHashes: this.lastHashes
+    }
+  }
+}
+
+// make a brand new group
+function createGroup(name, members, admins) {
+  const groupKeypair = libsignal.curve.generateKeyPair()
+  return new SessionClosedGroup({
+    groupPublicKey: groupKeypair.pubKey.toString('hex'),
+    groupPrivateKey: groupKeypair.privKey.toString('hex'),
+    name,
+    members,
+    admins
+  })
+}
+
+// make a group from a received MediumGroupUpdate NEW
+function groupFromUpdate(update) {
+  const toHex = buf => Buffer.from(buf).toString('hex')
+  const group = new SessionClosedGroup({
+    groupPublicKey: toHex(update.groupPublicKey),
+    groupPrivateKey: toHex(update.groupPrivateKey),
+    name: update.name,
+    members: update.members.map(toHex),
+    admins: update.admins.map(toHex)
+  })
+  update.senderKeys.forEach(senderKey => group.setSenderKey(senderKey))
+  return group
+}
+
+module.exports = {
+  UPDATE_TYPES,
+  SessionClosedGroup,
+  createGroup,
+  groupFromUpdate
+}
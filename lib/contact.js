@@ -0,0 +1,120 @@
+// DataMessage.Contact helpers
+// converts between our friendly shape and the protobuf shape
+
+// DataMessage.Contact.Phone.Type & DataMessage.Contact.Email.Type
+const PHONE_EMAIL_TYPES = {
+  home: 1,
+  mobile: 2,
+  work: 3,
+  custom: 4
+}
+
+// DataMessage.Contact.PostalAddress.Type
+const ADDRESS_TYPES = {
+  home: 1,
+  work: 2,
+  custom: 3
+}
+
+const ADDRESS_FIELDS = ['label', 'street', 'pobox', 'neighborhood', 'city', 'region', 'postcode', 'country']
+
+function typeName(types, value) {
+  return Object.keys(types).find(name => types[name] === value)
+}
+
+// returns an error string or undefined if contact is ok
+function validateContact(contact) {
+  if (!contact || typeof contact !== 'object') {
+    return 'contact must be an object'
+  }
+  const name = contact.name || {}
+  if (!name.displayName && !name.givenName && !name.familyName && !contact.organization) {
+    return 'contact needs a name or organization'
+  }
+  const phones = contact.phones || []
+  const emails = contact.emails || []
+  const addresses = contact.addresses || []
+  if (!phones.length && !emails.length && !addresses.length) {
+    return 'contact needs at least one phone, email or address'
+  }
+  for (const entry of phones.concat(emails)) {
+    if (!entry.value) {
+      return 'phones and emails need a value'
+    }
+    if (entry.type && PHONE_EMAIL_TYPES[entry.type] === undefined) {
+      return 'unknown phone/email type ' + entry.type
+    }
+    if (entry.type === 'custom' && !entry.label) {
+      return 'custom phones and emails need a label'
+    }
+  }
+  for (const address of addresses) {
+    if (address.type && ADDRESS_TYPES[address.type] === undefined) {
+      return 'unknown address type ' + address.type
+    }
+    if (!ADDRESS_FIELDS.some(field => address[field])) {
+      return 'addresses can not be empty'
+    }
+  }
+}
+
+// avatarPointer is an already uploaded AttachmentPointer
+function toContactProto(contact, avatarPointer) {
+  const toEntry = types => entry => ({
+    value: entry.value,
+    type: types[entry.type || 'mobile'] || types.custom,
+    label: entry.label
+  })
+  const rawContact = {
+    name: contact.name,
+    number: (contact.phones || []).map(toEntry(PHONE_EMAIL_TYPES)),
+    email: (contact.emails || []).map(toEntry(PHONE_EMAIL_TYPES)),
+    address: (contact.addresses || []).map(address => {
+      const rawAddress = { type: ADDRESS_TYPES[address.type || 'home'] }
+      ADDRESS_FIELDS.forEach(field => {
+        if (address[field]) rawAddress[field] = address[field]
+      })
+      return rawAddress
+    }),
+    organization: contact.organization
+  }
+  if (avatarPointer) {
+    rawContact.avatar = {
+      avatar: avatarPointer,
+      isProfile: false
+    }
+  }
+  return rawContact
+}
+
+function fromContactProto(rawContact) {
+  const fromEntry = entry => ({
+    value: entry.value,
+    type: typeName(PHONE_EMAIL_TYPES, entry.type),
+    label: entry.label || undefined
+  })
+  const contact = {
+    name: rawContact.name ? { ...rawContact.name } : {},
+    phones: rawContact.number.map(fromEntry),
+    emails: rawContact.email.map(fromEntry),
+    addresses: rawContact.address.map(rawAddress => {
+      const address = { type: typeName(ADDRESS_TYPES, rawAddress.type) }
+      ADDRESS_FIELDS.forEach(field => {
+        if (rawAddress[field]) address[field] = rawAddress[field]
+      })
+      return address
+    }),
+    organization: rawContact.organization || undefined
+  }
+  if (rawContact.avatar && rawContact.avatar.avatar) {
+    // AttachmentPointer, download with getContactAvatar
+    contact.avatar = rawContact.avatar.avatar
+  }
+  return contact
+}
+
+module.exports = {
+  validateContact,
+  toContactProto,
+  fromContactProto
+}
@@ -0,0 +1,77 @@
+// remembers the last limit keys, forgetting the oldest first
+// so long running clients don't grow without bound
+
+const DEFAULT_LIMIT = 1000
+
+class BoundedSet {
+  constructor(limit = DEFAULT_LIMIT) {
+    this.limit = limit
+    // Sets iterate in insertion order
+    this.keys = new Set()
+  }
+
+  has(key) {
+    return this.keys.has(key)
+  }
+
+  add(key) {
+    // refresh, so it's the last to go
+    this.keys.delete(key)
+    this.keys.add(key)
+    while (this.keys.size > this.limit) {
+      this.keys.delete(this.keys.values().next().value)
+    }
+  }
+
+  get size() {
+    return this.keys.size
+  }
+}
+
+// recently handled messages, by storage hash, source + envelope timestamp or open group message id
+// new keys stay pending (in memory only) until confirmed, so if we go down before a message
+// is handled we don't skip it after a restart
+class Deduplicator {
+  constructor(limit = DEFAULT_LIMIT) {
+    this.window = new BoundedSet(limit)
+    this.pending = new Set()
+  }
+
+  has(type, id) {
+    return this.window.has(type + ':' + id)
+  }
+
+  // returns the key to confirm
+  add(type, id) {
+    const key = type + ':' + id
+    this.window.add(key)
+    this.pending.add(key)
+    if (this.pending.size > this.window.limit) {
+      // never confirmed and already out of the window
+      this.pending.forEach(pendingKey => {
+        if (!this.window.has(pendingKey)) this.pending.delete(pendingKey)
+      })
+    }
+    return key
+  }
+
+  confirm(keys) {
+    keys.forEach(key => this.pending.delete(key))
+  }
+
+  // restore from toJSON
+  load(keys) {
+    if (!Array.isArray(keys)) return
+    keys.forEach(key => this.window.add(key))
+  }
+
+  // confirmed keys, oldest first
+  toJSON() {
+    return Array.from(this.window.keys).filter(key => !this.pending.has(key))
+  }
+}
+
+module.exports = {
+  BoundedSet,
+  Deduplicator
+}
@@ -82,6 +82,19 @@ function makeOnionSymKey(privKeyBuf, pubKeyBuf) {
   return hashedSymmetricKeyBuf
 }
 
+// encrypt for a snode's (or server's) x25519 key with a fresh ephemeral key
+// returns the ciphertext and the key the response will be encrypted with
+function encryptForPubkey(pubkeyX25519Hex, plaintextBuf) {
+  const ephemeral = libsignal.curve.generateKeyPair()
+  const symmetricKey = makeOnionSymKey(ephemeral.privKey, Buffer.from(pubkeyX25519Hex, 'hex'))
+  return {
+    ciphertext: encryptGCM(symmetricKey, plaintextBuf),
+    symmetricKey,
+    // snodes want it without the 05 prefix
+    ephemeralKey: ephemeral.pubKey.slice(1)
+  }
+}
+
 function encryptGCM(symmetricKey, plaintextEnc) {
   // not on the node side
   const nonce = crypto.randomBytes(NONCE_LENGTH) // Buffer (object)
@@ -178,6 +191,7 @@ module.exports = {
   // what needs this?
   makeSymmetricKey,
   makeOnionSymKey,
+  encryptForPubkey,
   encryptGCM,
   decryptGCM,
   encryptCBC,
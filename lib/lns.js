@@ -39,7 +39,7 @@ async function getNameFast(lnsName) {
   const nameBuf = Buffer.from(lnsName)
   const uArr = blake2bUtils.blake2b(nameBuf, undefined, 32)
   const hash64 = Buffer.from(uArr).toString('base64')
-  const snodeUrl = lib.getRandomSnode()
+  const snodeUrl = await lib.getRandomSnode()
   console.log('asking', snodeUrl, 'about', lnsName)
   const res = await lib.jsonrpc(snodeUrl, 'get_lns_mapping', {
     name_hash: hash64
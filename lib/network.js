@@ -0,0 +1,634 @@
+const https = require('https')
+const EventEmitter = require('events')
+
+// FIXME: remove fetch
+const fetch = require('node-fetch')
+// eslint-disable-next-line camelcase
+const loki_crypto = require('./lib.loki_crypto.js')
+
+// lokid RPC endpoints we can bootstrap the service node list from
+const DEFAULT_SEED_NODES = [
+  'https://storage.seed1.loki.network/json_rpc',
+  'https://storage.seed3.loki.network/json_rpc',
+  'https://public.loki.foundation/json_rpc'
+]
+
+// refresh the service node list after this long
+const SERVICE_NODE_LIST_TTL = 60 * 60 * 1000 // in ms
+// don't hammer the seeds if they're all down
+const SERVICE_NODE_LIST_RETRY = 60 * 1000 // in ms
+
+const REQUEST_TIMEOUT = 30 * 1000 // in ms
+// look a swarm up again after this long
+const SWARM_TTL = 60 * 60 * 1000 // in ms
+// give up if a swarm keeps telling us to go elsewhere
+const MAX_REORG_RETRIES = 3
+// how long store/retrieve keep trying other swarm members
+const SWARM_REQUEST_DEADLINE = 60 * 1000 // in ms
+// a failing snode is skipped for this long, doubling on every failure in a row
+const BAD_SNODE_BACKOFF = 10 * 1000 // in ms
+const MAX_BAD_SNODE_BACKOFF = 10 * 60 * 1000 // in ms
+// PoW difficulty until a snode tells us otherwise
+const DEFAULT_DIFFICULTY = 1
+
+// why a swarmRequest failed
+const SWARM_ERRORS = {
+  // couldn't find out who is in the swarm
+  NO_SWARM: 'noSwarm',
+  // every swarm member failed
+  UNREACHABLE: 'unreachable',
+  // ran out of time before any swarm member answered
+  DEADLINE: 'deadline',
+  // a snode refused the request, the rest of the swarm won't do any better
+  REJECTED: 'rejected',
+  // the caller's AbortSignal fired before we sent it
+  ABORTED: 'aborted'
+}
+
+// a non-empty list of { ip, port }, like get_snodes_for_pubkey and 421s return
+function isValidSwarm(snodes) {
+  return Array.isArray(snodes) && snodes.length > 0 &&
+    snodes.every(snode => snode && snode.ip && snode.port)
+}
+
+function getRandomOne(items) {
+  return items[parseInt(Math.random() * items.length)]
+}
+
+function shuffle(items) {
+  const shuffled = items.slice()
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    const tmp = shuffled[i]
+    shuffled[i] = shuffled[j]
+    shuffled[j] = tmp
+  }
+  return shuffled
+}
+
+// ip:port of url, URL drops default ports
+function snodeKey(url) {
+  const parsed = new URL(url)
+  const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80')
+  return parsed.hostname + ':' + port
+}
+
+// storage server endpoints, as opposed to seeds and file/open group servers
+function isSnodeUrl(url) {
+  const path = new URL(url).pathname
+  return path.startsWith('/storage_rpc/') || path === '/onion_req'
+}
+
+// errors are usually plain text
+function parseBody(text) {
+  try {
+    return JSON.parse(text)
+  } catch (e) {
+    return text
+  }
+}
+
+function getSnodeUrl(snode) {
+  return 'https://' + snode.ip + ':' + snode.port + '/storage_rpc/v1'
+}
+
+// everything we know about the Loki network: seeds, service nodes, swarms
+// one per client, or share one between clients on purpose
+// emits swarmChanged { pubkey, snodes, previous, reason } when a swarm's members change
+class Network extends EventEmitter {
+  // options.seedNodes lokid json_rpc URLs, like a private/local test network
+  // options.timeout request timeout in ms
+  // options.deadline how long store/retrieve keep trying the swarm in ms
+  // options.agent https agent for snodes
+  // options.insecure skip snode authentication and TLS validation, only for local test networks
+  constructor(options = {}) {
+    super()
+    this.seedNodes = DEFAULT_SEED_NODES
+    if (options.seedNodes) this.setSeedNodes(options.seedNodes)
+    this.timeout = options.timeout || REQUEST_TIMEOUT
+    this.deadline = options.deadline || SWARM_REQUEST_DEADLINE
+    this.insecure = !!options.insecure
+    // snodes have self-signed certs, see getAgent
+    this.snodeHttpsAgent = options.agent || new https.Agent({
+      rejectUnauthorized: false
+    })
+    // { updated_at, snodes } with the same snode shape swarms use
+    this.serviceNodeList = false
+    this.serviceNodeListRefresh = false
+    this.serviceNodeListAttempted = 0
+    // pubkey => { updated_at, snodes }
+    this.swarmMap = {}
+    // pubkey => promise of an in-flight swarm lookup
+    this.swarmLookups = {}
+    // ip:port => { failures, until }
+    this.badSnodes = {}
+    // ip:port => PoW difficulty it last asked for
+    this.difficulties = {}
+  }
+
+  // snodes have self-signed certs, so TLS can't tell us who we're talking to
+  // we authenticate them by their x25519 key instead, see snodeRequest
+  // everyone else (seeds, file and open group servers) gets normal TLS validation
+  getAgent(url) {
+    // http is allowed for local test networks
+    if (!url.startsWith('https:')) return
+    if (this.insecure || isSnodeUrl(url)) return this.snodeHttpsAgent
+  }
+
+  async bufferAsk(url, fetchOptions = {}) {
+    const options = {
+      ...fetchOptions,
+      agent: this.getAgent(url)
+    }
+    const result = await fetch(url, options)
+    const text = await result.buffer()
+    return text
+  }
+
+  async textAsk(url, fetchOptions = {}) {
+    const options = {
+      ...fetchOptions,
+      agent: this.getAgent(url)
+    }
+    let result = false
+    try {
+      result = await fetch(url, options)
+      const text = await result.text()
+      return text
+    } catch (e) {
+      console.error('network::textAsk - err', e)
+      // e.code === ECONNRESET (socket hang up)
+      // e.code === ECONNREFUSED (connect)
+    }
+  }
+
+  async jsonAsk(url, fetchOptions = {}) {
+    const json = await this.textAsk(url, fetchOptions)
+    //console.log('json', json)
+    if (!json) return // don't try to parse obviously invalid json
+    try {
+      const obj = JSON.parse(json)
+      return obj
+    } catch (e) {
+      console.error('network::jsonAsk - err', e, 'json', json)
+      return json
+    }
+  }
+
+  async jsonrpc(url, method, params) {
+    if (!url) {
+      console.trace('network::jsonrpc - no url')
+      return
+    }
+    if (isSnodeUrl(url)) {
+      const res = await this.snodeRequest(url, method, params)
+      return res && res.body
+    }
+    const body = {
+      jsonrpc: '2.0',
+      id: '0',
+      method,
+      params
+    }
+    const fetchOptions = {
+      method: 'POST',
+      body: JSON.stringify(body),
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    }
+    return this.jsonAsk(url, fetchOptions)
+  }
+
+  // returns { status, text } or undefined if we couldn't reach url
+  async postJSON(url, obj, timeout = this.timeout, headers = {}) {
+    try {
+      const result = await fetch(url, {
+        method: 'POST',
+        body: JSON.stringify(obj),
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json'
+        },
+        timeout,
+        agent: this.getAgent(url)
+      })
+      return { status: result.status, text: await result.text() }
+    } catch (e) {
+      // ECONNRESET, ECONNREFUSED, request-timeout
+      console.warn('network::postJSON - no response from', url, e.code || e.type || e.message)
+    }
+  }
+
+  // storage rpc that keeps the HTTP status, snodes answer errors with it
+  // sent as a one hop onion request, encrypted for the snode's x25519 key from the node list
+  // so only that snode can read it or answer it
+  // headers are HTTP headers for the storage server, like X-Loki-Long-Poll
+  // returns { status, body } or undefined if we couldn't reach or authenticate url
+  async snodeRequest(url, method, params, timeout = this.timeout, headers) {
+    if (this.insecure) {
+      const res = await this.postJSON(url, { jsonrpc: '2.0', id: '0', method, params }, timeout, headers)
+      return res && { status: res.status, body: parseBody(res.text) }
+    }
+    const snode = await this.findSnode(url)
+    if (!snode || !snode.pubkey_x25519) {
+      console.warn('network::snodeRequest - no x25519 key for', url, 'can not authenticate it')
+      return
+    }
+    const ctx = loki_crypto.encryptForPubkey(snode.pubkey_x25519, Buffer.from(JSON.stringify({
+      body: JSON.stringify({ method, params }),
+      headers: headers || ''
+    })))
+    const res = await this.postJSON(new URL('/onion_req', url).href, {
+      ciphertext: ctx.ciphertext.toString('base64'),
+      ephemeral_key: ctx.ephemeralKey.toString('hex')
+    }, timeout)
+    if (!res) return
+    let inner
+    try {
+      inner = JSON.parse(loki_crypto.decryptGCM(ctx.symmetricKey, Buffer.from(res.text, 'base64')).toString())
+    } catch (e) {
+      // not encrypted with our key, so it's not who we think it is (or it's an error)
+      console.warn('network::snodeRequest - could not authenticate', url, method, 'status', res.status)
+      return
+    }
+    return { status: inner.status, body: typeof inner.body === 'string' ? parseBody(inner.body) : inner.body }
+  }
+
+  // point at other seeds, like a private/local test network
+  setSeedNodes(seeds) {
+    if (!Array.isArray(seeds) || !seeds.length || seeds.some(seed => typeof seed !== 'string')) {
+      console.warn('network::setSeedNodes - seeds must be a list of URLs, got', seeds)
+      return
+    }
+    this.seedNodes = seeds
+    // list came from the old seeds
+    this.serviceNodeList = false
+  }
+
+  getSeedNodes() {
+    return this.seedNodes
+  }
+
+  // get_n_service_nodes from one seed
+  async fetchServiceNodes(seedUrl) {
+    const res = await this.jsonrpc(seedUrl, 'get_n_service_nodes', {
+      active_only: true,
+      fields: {
+        public_ip: true,
+        storage_port: true,
+        pubkey_x25519: true,
+        pubkey_ed25519: true
+      }
+    })
+    if (!res || !res.result || !Array.isArray(res.result.service_node_states)) {
+      console.warn('network::fetchServiceNodes - bad response from', seedUrl, res)
+      return
+    }
+    return res.result.service_node_states
+      // not set up yet
+      .filter(state => state.public_ip && state.public_ip !== '0.0.0.0' && state.storage_port)
+      .map(state => ({
+        ip: state.public_ip,
+        port: String(state.storage_port),
+        pubkey_x25519: state.pubkey_x25519,
+        pubkey_ed25519: state.pubkey_ed25519
+      }))
+  }
+
+  async refreshServiceNodes() {
+    // only one refresh at a time
+    if (this.serviceNodeListRefresh) return this.serviceNodeListRefresh
+    this.serviceNodeListAttempted = Date.now()
+    this.serviceNodeListRefresh = (async () => {
+      // try the seeds in random order until one answers
+      for (const seedUrl of shuffle(this.seedNodes)) {
+        const snodes = await this.fetchServiceNodes(seedUrl)
+        if (snodes && snodes.length) {
+          this.serviceNodeList = {
+            updated_at: Date.now(),
+            snodes: snodes
+          }
+          return
+        }
+      }
+      // keep using the old list, if we have one
+      console.error('network::refreshServiceNodes - no seed node answered', this.seedNodes)
+    })()
+    try {
+      await this.serviceNodeListRefresh
+    } finally {
+      this.serviceNodeListRefresh = false
+    }
+  }
+
+  // cached service node list, refreshed every SERVICE_NODE_LIST_TTL
+  async getServiceNodes() {
+    const list = this.serviceNodeList
+    const stale = !list || Date.now() - list.updated_at > SERVICE_NODE_LIST_TTL
+    if (stale && Date.now() - this.serviceNodeListAttempted > SERVICE_NODE_LIST_RETRY) {
+      await this.refreshServiceNodes()
+    }
+    return this.serviceNodeList ? this.serviceNodeList.snodes : []
+  }
+
+  // expose service node list cache, so it can be persisted between reloads
+  getServiceNodeList() {
+    return this.serviceNodeList
+  }
+
+  setServiceNodeList(list) {
+    if (!list || !Array.isArray(list.snodes)) {
+      console.warn('network::setServiceNodeList - invalid list', list)
+      return
+    }
+    this.serviceNodeList = list
+  }
+
+  async getRandomSnode() {
+    const snodes = await this.getServiceNodes()
+    // fall back to the snodes we've seen in swarms
+    const pool = snodes.length ? snodes : this.getSnodePool()
+    if (!pool.length) {
+      console.error('network::getRandomSnode - no service nodes known, check seed nodes', this.seedNodes)
+      return
+    }
+    const good = pool.filter(snode => !this.isSnodeBad(getSnodeUrl(snode)))
+    return getSnodeUrl(getRandomOne(good.length ? good : pool))
+  }
+
+  // skip url for a while, longer every time it fails in a row
+  markSnodeBad(url) {
+    const key = snodeKey(url)
+    const failures = this.badSnodes[key] ? this.badSnodes[key].failures + 1 : 1
+    this.badSnodes[key] = {
+      failures,
+      until: Date.now() + Math.min(MAX_BAD_SNODE_BACKOFF, BAD_SNODE_BACKOFF * 2 ** (failures - 1))
+    }
+  }
+
+  markSnodeGood(url) {
+    delete this.badSnodes[snodeKey(url)]
+  }
+
+  isSnodeBad(url) {
+    const bad = this.badSnodes[snodeKey(url)]
+    return !!bad && bad.until > Date.now()
+  }
+
+  // PoW difficulty url wants, as far as we know
+  getDifficulty(url) {
+    return this.difficulties[snodeKey(url)] || DEFAULT_DIFFICULTY
+  }
+
+  // snodes tell us their difficulty on every store
+  setDifficulty(url, difficulty) {
+    difficulty = parseInt(difficulty)
+    if (!(difficulty > 0)) return
+    this.difficulties[snodeKey(url)] = difficulty
+  }
+
+  // enough PoW for any member of pubkey's swarm we know about
+  getSwarmDifficulty(pubkey) {
+    const swarm = this.swarmMap[pubkey]
+    if (!swarm) return DEFAULT_DIFFICULTY
+    return Math.max(DEFAULT_DIFFICULTY, ...swarm.snodes.map(snode => this.getDifficulty(getSnodeUrl(snode))))
+  }
+
+  // every snode we know about, with their keys
+  // keys from the service node list win, any snode can put whatever it wants in a swarm
+  // so snodes we only know from swarms are flagged unverified
+  getSnodePool() {
+    const pool = {}
+    Object.values(this.swarmMap).forEach(swarm => {
+      swarm.snodes.forEach(snode => {
+        pool[snode.ip + ':' + snode.port] = { ...snode, unverified: true }
+      })
+    })
+    const snodes = this.serviceNodeList ? this.serviceNodeList.snodes : []
+    snodes.forEach(snode => {
+      pool[snode.ip + ':' + snode.port] = snode
+    })
+    return Object.values(pool)
+  }
+
+  getSnodeUrl(snode) {
+    return getSnodeUrl(snode)
+  }
+
+  // the snode behind url, with the keys the service node list pinned for it, if it's in there
+  getSnode(url) {
+    const key = snodeKey(url)
+    const snodes = this.serviceNodeList ? this.serviceNodeList.snodes : []
+    return snodes.find(snode => snode.ip + ':' + snode.port === key)
+  }
+
+  // getSnode, but refresh the service node list if url isn't in it
+  // it may be new since our list, at most once every SERVICE_NODE_LIST_RETRY
+  async findSnode(url) {
+    const snode = this.getSnode(url)
+    if (snode || Date.now() - this.serviceNodeListAttempted <= SERVICE_NODE_LIST_RETRY) return snode
+    await this.refreshServiceNodes()
+    return this.getSnode(url)
+  }
+
+  // handle swarm reorgs
+  // rpc lets a transport (like onion requests) replace jsonrpc
+  async pubKeyAsk(url, method, pubKey, params = {}, rpc = this.jsonrpc.bind(this), reorgs = 0) {
+    const res = await rpc(url, method, {...params, pubKey: pubKey })
+    if (!res) {
+      console.warn('network::snodeAsk - no response from', url, method, pubKey)
+      return
+    }
+    // process swarm updates
+    if (res.snodes) {
+      if (!isValidSwarm(res.snodes)) {
+        // keep what we have
+        console.warn('network::snodeAsk - ignoring invalid swarm for', pubKey, 'from', url)
+        return
+      }
+      // we expect get_snodes_for_pubkey to return snodes
+      if (method === 'get_snodes_for_pubkey') {
+        this.updateSwarm(pubKey, res.snodes, 'lookup')
+        return res
+      }
+      console.warn('network::snodeAsk - Swarm reorg for', pubKey)
+      this.updateSwarm(pubKey, res.snodes, 'reorg')
+      if (reorgs >= MAX_REORG_RETRIES) {
+        console.error('network::snodeAsk - swarm for', pubKey, 'keeps moving, giving up on', method)
+        return
+      }
+      // same request, against the new swarm
+      return this.pubKeyAsk(getSnodeUrl(getRandomOne(res.snodes)), method, pubKey, params, rpc, reorgs + 1)
+    }
+    return res
+  }
+
+  // replace pubkey's swarm, reason is lookup or reorg
+  updateSwarm(pubkey, snodes, reason) {
+    const previous = this.swarmMap[pubkey]
+    this.swarmMap[pubkey] = {
+      updated_at: Date.now(),
+      snodes: snodes
+    }
+    const members = list => list.map(snode => snode.ip + ':' + snode.port).sort().join(',')
+    if (!previous || members(previous.snodes) !== members(snodes)) {
+      this.emit('swarmChanged', {
+        pubkey,
+        snodes,
+        previous: previous ? previous.snodes : [],
+        reason
+      })
+    }
+  }
+
+  // look pubkey's swarm up again, returns false if we couldn't
+  async refreshSwarm(pubkey, rpc) {
+    // one lookup per pubkey, everyone else waits on it
+    if (!this.swarmLookups[pubkey]) {
+      this.swarmLookups[pubkey] = (async () => {
+        return this.pubKeyAsk(await this.getRandomSnode(), 'get_snodes_for_pubkey', pubkey, {}, rpc)
+      })().finally(() => {
+        delete this.swarmLookups[pubkey]
+      })
+    }
+    const snodeData = await this.swarmLookups[pubkey]
+    return !!(snodeData && snodeData.snodes)
+  }
+
+  // expose swarm cache, so it can be persisted between reloads
+  getSwarm(pubkey) {
+    return this.swarmMap[pubkey]
+  }
+
+  setSwarm(pubkey, swarm) {
+    if (!swarm || !Array.isArray(swarm.snodes)) {
+      console.warn('network::setSwarm - invalid swarm for', pubkey, swarm)
+      return
+    }
+    this.swarmMap[pubkey] = swarm
+  }
+
+  // exclude is a list of urls we don't want, like ones we already tried
+  async getSwarmsnodeUrl(pubkey, rpc, exclude = []) {
+    if (!pubkey || pubkey.length < 66) {
+      console.trace('network::getSwarmsnodeUrl - invalid pubkey', pubkey && pubkey.length, pubkey)
+      return
+    }
+    // cache snodes list, restored swarms may not have updated_at
+    const swarm = this.swarmMap[pubkey]
+    if (!swarm || Date.now() - (swarm.updated_at || 0) > SWARM_TTL) {
+      if (!await this.refreshSwarm(pubkey, rpc)) {
+        if (!this.swarmMap[pubkey]) {
+          console.error('Could not get snodes for', pubkey)
+          return
+        }
+        // better an old swarm than none, most members will still be there
+        console.warn('network::getSwarmsnodeUrl - could not refresh swarm for', pubkey)
+      }
+    }
+    const candidates = this.swarmMap[pubkey].snodes.filter(snode => !exclude.includes(getSnodeUrl(snode)))
+    if (!candidates.length) return
+    // prefer snodes that haven't been failing
+    const good = candidates.filter(snode => !this.isSnodeBad(getSnodeUrl(snode)))
+    const randomNode = getRandomOne(good.length ? good : candidates)
+    /*
+    { address: 'o99bz7gpo3jhy8nx7zpaeau8ea7a9kkipwdszn3ppeai3khqdn1o.snode',
+        ip: '68.183.236.72',
+        port: '22021',
+        pubkey_ed25519:
+         '028a954d7551520416b4e44caf8fa62fe262facd4881dcc9eb3dce80eb3a7401',
+        pubkey_x25519:
+         '0ea63d99abcc85d1c810cf0b36df4193913e0d13033a50d6a8dfa4f830ec7f32' }
+    */
+    return getSnodeUrl(randomNode)
+  }
+
+  // up to count different members of pubkey's swarm
+  async getSwarmsnodeUrls(pubkey, count, rpc) {
+    const urls = []
+    while (urls.length < count) {
+      const url = await this.getSwarmsnodeUrl(pubkey, rpc, urls)
+      if (!url) break
+      urls.push(url)
+    }
+    return urls
+  }
+
+  // send method to pubKey's swarm, moving on to other members when one fails
+  // options.deadline in ms, Defaults: this.deadline
+  // options.headers HTTP headers for the storage server
+  // options.snode url of the swarm member to try first
+  // options.rpc/options.request let a transport (like onion requests) replace jsonrpc/snodeRequest
+  // returns { ok: true, status, body, snode, attempts }
+  // or { ok: false, error (see SWARM_ERRORS), status, body, snode, attempts }
+  async swarmRequest(pubKey, method, params = {}, options = {}) {
+    const request = options.request || this.snodeRequest.bind(this)
+    const deadline = Date.now() + (options.deadline || this.deadline)
+    let tried = []
+    let refreshed = false
+    let attempts = 0
+    let reorgs = 0
+    // the last failure, so the caller can see what happened
+    let last = {}
+    while (Date.now() < deadline) {
+      let url = (!attempts && options.snode) || await this.getSwarmsnodeUrl(pubKey, options.rpc, tried)
+      if (!url && tried.length && !refreshed) {
+        // everyone we know failed, maybe our swarm list is stale
+        refreshed = true
+        if (await this.refreshSwarm(pubKey, options.rpc)) {
+          tried = []
+          url = await this.getSwarmsnodeUrl(pubKey, options.rpc, tried)
+        }
+      }
+      if (!url) {
+        if (!this.swarmMap[pubKey]) {
+          return { ok: false, error: SWARM_ERRORS.NO_SWARM, attempts }
+        }
+        return { ok: false, error: SWARM_ERRORS.UNREACHABLE, ...last, attempts }
+      }
+      const timeLeft = deadline - Date.now()
+      if (timeLeft <= 0) break
+      tried.push(url)
+      attempts++
+      const res = await request(url, method, { ...params, pubKey: pubKey }, Math.min(this.timeout, timeLeft), options.headers)
+      if (!res || res.status >= 500) {
+        // down, overloaded or not done syncing
+        this.markSnodeBad(url)
+        last = res ? { status: res.status, body: res.body, snode: url } : { snode: url }
+        continue
+      }
+      if (res.body && res.body.snodes) {
+        // 421, pubKey moved to another swarm
+        last = { status: res.status, body: res.body, snode: url }
+        if (!isValidSwarm(res.body.snodes)) {
+          // don't let a bad answer wipe the swarm, ask another member
+          console.warn('network::swarmRequest - ignoring invalid reorg for', pubKey, 'from', url)
+          continue
+        }
+        if (reorgs >= MAX_REORG_RETRIES) {
+          console.error('network::swarmRequest - swarm for', pubKey, 'keeps moving, ignoring reorg from', url)
+          continue
+        }
+        reorgs++
+        console.warn('network::swarmRequest - Swarm reorg for', pubKey)
+        this.updateSwarm(pubKey, res.body.snodes, 'reorg')
+        tried = []
+        continue
+      }
+      if (res.status !== 200) {
+        // bad params, clock out of sync, not enough PoW...
+        return { ok: false, error: SWARM_ERRORS.REJECTED, status: res.status, body: res.body, snode: url, attempts }
+      }
+      this.markSnodeGood(url)
+      return { ok: true, status: res.status, body: res.body, snode: url, attempts }
+    }
+    return { ok: false, error: SWARM_ERRORS.DEADLINE, ...last, attempts }
+  }
+}
+
+module.exports = {
+  Network,
+  SWARM_ERRORS
+}
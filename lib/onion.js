@@ -0,0 +1,283 @@
+const crypto = require('crypto')
+// eslint-disable-next-line camelcase
+const loki_crypto = require('./lib.loki_crypto.js')
+
+// onion requests
+// a path is a guard snode plus relays, each hop only learns the hop before and after it
+// every layer is encrypted for that hop's x25519 key with a fresh ephemeral key
+// the destination (snode or server) encrypts its response with the key we used for it
+
+const PATH_LENGTH = 3
+const PATH_COUNT = 2
+// a path is replaced after this many failed requests in a row
+const MAX_PATH_FAILURES = 3
+const REQUEST_TIMEOUT = 30 * 1000
+
+function toLayer(ctx) {
+  return {
+    ciphertext: ctx.ciphertext.toString('base64'),
+    ephemeral_key: ctx.ephemeralKey.toString('hex')
+  }
+}
+
+function shuffle(items) {
+  const shuffled = items.slice()
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1)
+    const tmp = shuffled[i]
+    shuffled[i] = shuffled[j]
+    shuffled[j] = tmp
+  }
+  return shuffled
+}
+
+function snodeKey(snode) {
+  return snode.ip + ':' + snode.port
+}
+
+class OnionRequests {
+  // network is the direct transport, see network.js
+  // options.serverPubkeys maps file/open group server hosts to their x25519 pubkey (hex)
+  constructor(network, options = {}) {
+    this.network = network
+    this.pathLength = options.pathLength || PATH_LENGTH
+    this.pathCount = options.pathCount || PATH_COUNT
+    this.serverPubkeys = options.serverPubkeys || {}
+    // { snodes, failures }
+    this.paths = []
+    this.buildingPaths = false
+  }
+
+  // make sure we know enough snodes to build every path
+  // only from the service node list, swarms can't vouch for a snode's keys
+  async fillPool() {
+    await this.network.getServiceNodes()
+  }
+
+  async buildPaths() {
+    // only one build at a time
+    if (this.buildingPaths) return this.buildingPaths
+    this.buildingPaths = (async () => {
+      await this.fillPool()
+      const inUse = new Set()
+      this.paths.forEach(path => path.snodes.forEach(snode => inUse.add(snodeKey(snode))))
+      const candidates = shuffle(this.network.getSnodePool().filter(snode =>
+        !snode.unverified && snode.pubkey_x25519 && snode.pubkey_ed25519 && !inUse.has(snodeKey(snode))
+      ))
+      while (this.paths.length < this.pathCount && candidates.length >= this.pathLength) {
+        this.paths.push({
+          snodes: candidates.splice(0, this.pathLength),
+          failures: 0
+        })
+      }
+      if (!this.paths.length) {
+        console.error('onion::buildPaths - not enough snodes to build a path, have', this.network.getSnodePool().length)
+      }
+    })()
+    try {
+      await this.buildingPaths
+    } finally {
+      this.buildingPaths = false
+    }
+  }
+
+  async getPath(exclude = []) {
+    if (this.paths.length < this.pathCount) {
+      await this.buildPaths()
+    }
+    const candidates = this.paths.filter(path => !exclude.includes(path))
+    return candidates[crypto.randomInt(candidates.length || 1)]
+  }
+
+  markPathFailed(path) {
+    path.failures++
+    if (path.failures >= MAX_PATH_FAILURES) {
+      console.warn('onion::markPathFailed - replacing path through', snodeKey(path.snodes[0]))
+      this.paths = this.paths.filter(p => p !== path)
+    }
+  }
+
+  // destination is { pubkeyX25519, next }
+  // next is the ed25519 pubkey of a snode or the {host, target, method} of a server
+  async sendViaPath(path, payloadObj, destination, timeout = REQUEST_TIMEOUT) {
+    const destCtx = loki_crypto.encryptForPubkey(destination.pubkeyX25519, Buffer.from(JSON.stringify(payloadObj)))
+    // wrap from the last relay back to the guard
+    // the last relay forwards to a snode by its ed25519 key, or to a server by host/target/method
+    let layer = typeof destination.next === 'string'
+      ? { ...toLayer(destCtx), destination: destination.next }
+      : { ...toLayer(destCtx), ...destination.next }
+    for (let i = path.snodes.length - 1; i > 0; i--) {
+      const ctx = loki_crypto.encryptForPubkey(path.snodes[i].pubkey_x25519, Buffer.from(JSON.stringify(layer)))
+      layer = { ...toLayer(ctx), destination: path.snodes[i].pubkey_ed25519 }
+    }
+    const guard = path.snodes[0]
+    const guardCtx = loki_crypto.encryptForPubkey(guard.pubkey_x25519, Buffer.from(JSON.stringify(layer)))
+    const text = await this.network.textAsk('https://' + snodeKey(guard) + '/onion_req', {
+      method: 'POST',
+      body: JSON.stringify(toLayer(guardCtx)),
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      timeout
+    })
+    if (!text) {
+      throw new Error('No response from guard ' + snodeKey(guard))
+    }
+    // anything a relay says is plaintext and won't decrypt
+    const plaintext = loki_crypto.decryptGCM(destCtx.symmetricKey, Buffer.from(text, 'base64'))
+    // { status, body }
+    return JSON.parse(plaintext.toString())
+  }
+
+  // try a couple of paths before giving up
+  async send(payloadObj, destination, timeout) {
+    const tried = []
+    while (tried.length < 2) {
+      const path = await this.getPath(tried)
+      if (!path) {
+        console.error('onion::send - no onion path available')
+        return
+      }
+      try {
+        const res = await this.sendViaPath(path, payloadObj, destination, timeout)
+        path.failures = 0
+        return res
+      } catch (e) {
+        console.warn('onion::send - path through', snodeKey(path.snodes[0]), 'failed', e.message)
+        this.markPathFailed(path)
+        tried.push(path)
+      }
+    }
+  }
+
+  // same interface as lib.snodeRequest
+  async snodeRequest(url, method, params, timeout, headers) {
+    let snode = await this.network.findSnode(url)
+    if (!snode && method === 'get_snodes_for_pubkey') {
+      // any snode can answer this
+      const pool = this.network.getSnodePool().filter(snode => !snode.unverified)
+      snode = pool[crypto.randomInt(pool.length || 1)]
+    }
+    if (!snode || !snode.pubkey_x25519) {
+      console.error('onion::snodeRequest - no keys for', url, 'can not send', method)
+      return
+    }
+    const res = await this.send({
+      body: JSON.stringify({ method, params }),
+      headers: headers || ''
+    }, {
+      pubkeyX25519: snode.pubkey_x25519,
+      next: snode.pubkey_ed25519
+    }, timeout)
+    if (!res) return
+    try {
+      return { status: res.status, body: JSON.parse(res.body) }
+    } catch (e) {
+      // errors are usually plain text
+      return { status: res.status, body: res.body }
+    }
+  }
+
+  // same interface as lib.jsonrpc
+  async jsonrpc(url, method, params) {
+    const res = await this.snodeRequest(url, method, params)
+    if (!res) return
+    if (typeof res.body === 'string') {
+      console.error('onion::jsonrpc - err status', res.status, 'body', res.body)
+    }
+    return res.body
+  }
+
+  // do we know the x25519 key of url's server
+  hasServerKey(url) {
+    return !!this.serverPubkeys[new URL(url).host]
+  }
+
+  // send a fetch-like request to a file or open group server
+  // returns { status, body }
+  async serverAsk(url, fetchOptions = {}) {
+    const serverUrl = new URL(url)
+    const pubkeyX25519 = this.serverPubkeys[serverUrl.host]
+    if (!pubkeyX25519) {
+      // never fall back to a direct request, that's what we're avoiding
+      console.error('onion::serverAsk - no x25519 pubkey for', serverUrl.host, 'see onionServerPubkeys')
+      return
+    }
+    let body = fetchOptions.body
+    if (fetchOptions.fileUpload) {
+      // the server can't take multipart through the proxy
+      body = JSON.stringify({ fileUpload: Buffer.from(fetchOptions.fileUpload).toString('base64') })
+    }
+    return this.send({
+      body: body,
+      endpoint: serverUrl.pathname.replace(/^\//, '') + serverUrl.search,
+      method: fetchOptions.method || 'GET',
+      headers: fetchOptions.headers || {}
+    }, {
+      pubkeyX25519,
+      next: {
+        host: serverUrl.hostname,
+        target: '/loki/v1/lsrpc',
+        method: 'POST'
+      }
+    })
+  }
+
+  async textAsk(url, fetchOptions) {
+    const res = await this.serverAsk(url, fetchOptions)
+    if (!res) return
+    return typeof res.body === 'string' ? res.body : JSON.stringify(res.body)
+  }
+
+  async jsonAsk(url, fetchOptions) {
+    const res = await this.serverAsk(url, fetchOptions)
+    if (!res) return
+    if (typeof res.body !== 'string') return res.body
+    try {
+      return JSON.parse(res.body)
+    } catch (e) {
+      console.error('onion::jsonAsk - err', e, 'json', res.body)
+      return res.body
+    }
+  }
+
+  // binary bodies come back base64 encoded
+  async bufferAsk(url, fetchOptions) {
+    const res = await this.serverAsk(url, fetchOptions)
+    if (!res) return
+    return Buffer.from(res.body, 'base64')
+  }
+
+  // a Network compatible object that sends everything through our paths
+  // caches (swarms, service nodes) stay in the network
+  getLib() {
+    const network = this.network
+    const lib = {}
+    Object.getOwnPropertyNames(Object.getPrototypeOf(network)).forEach(name => {
+      if (name !== 'constructor' && typeof network[name] === 'function') {
+        lib[name] = network[name].bind(network)
+      }
+    })
+    const rpc = this.jsonrpc.bind(this)
+    const request = this.snodeRequest.bind(this)
+    return {
+      ...lib,
+      bufferAsk: this.bufferAsk.bind(this),
+      textAsk: this.textAsk.bind(this),
+      jsonAsk: this.jsonAsk.bind(this),
+      jsonrpc: rpc,
+      snodeRequest: request,
+      pubKeyAsk: (url, method, pubKey, params) => network.pubKeyAsk(url, method, pubKey, params, rpc),
+      getSwarmsnodeUrl: pubkey => network.getSwarmsnodeUrl(pubkey, rpc),
+      getSwarmsnodeUrls: (pubkey, count) => network.getSwarmsnodeUrls(pubkey, count, rpc),
+      swarmRequest: (pubKey, method, params, options) => network.swarmRequest(pubKey, method, params, {
+        ...options, rpc, request
+      }),
+      onion: this
+    }
+  }
+}
+
+module.exports = {
+  OnionRequests
+}
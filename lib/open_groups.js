@@ -2,11 +2,12 @@ const lib = require('./lib.js')
 // eslint-disable-next-line camelcase
 const loki_crypto = require('./lib.loki_crypto.js')
 
-async function getToken(openGroupURL, privKey, pubkeyHex) {
+// netLib is the transport, lib.js or an onion lib
+async function getToken(openGroupURL, privKey, pubkeyHex, netLib = lib) {
   const openGroupUrl = `https://${openGroupURL}`
   const chalUrl = `${openGroupUrl}/loki/v1/get_challenge?pubKey=${pubkeyHex}`
-  const data = await lib.jsonAsk(chalUrl)
-  if (!data.cipherText64 || !data.serverPubKey64) {
+  const data = await netLib.jsonAsk(chalUrl)
+  if (!data || !data.cipherText64 || !data.serverPubKey64) {
     console.error('open_groups::getToken - data', typeof (data), data)
     return
   }
@@ -21,7 +22,7 @@ async function getToken(openGroupURL, privKey, pubkeyHex) {
   const subUrl = `${openGroupUrl}/loki/v1/submit_challenge`
   let activateRes
   try {
-    activateRes = await lib.textAsk(subUrl, {
+    activateRes = await netLib.textAsk(subUrl, {
       method: 'POST',
       body: JSON.stringify({
         token: token,
@@ -50,12 +51,14 @@ class SessionOpenGroupChannel {
     this.keypair = options.keypair || false
     this.token = options.token || ''
     this.pollServer = false
+    // transport, lib.js or an onion lib
+    this.lib = options.lib || lib
   }
 
   async subscribe() {
     console.log('Subscribing to Open Group', this.serverUrl)
     try {
-      const subscriptionResult = await lib.jsonAsk(`https://${this.serverUrl}/channels/${this.channelId}/subscribe`,
+      const subscriptionResult = await this.lib.jsonAsk(`https://${this.serverUrl}/channels/${this.channelId}/subscribe`,
         {
           method: 'post',
           headers: {
@@ -78,7 +81,7 @@ class SessionOpenGroupChannel {
 
   async getMessages() {
     try {
-      const messageListResult = await lib.jsonAsk(`https://${this.serverUrl}/channels/${this.channelId}/messages?since_id=${this.lastId}`,
+      const messageListResult = await this.lib.jsonAsk(`https://${this.serverUrl}/channels/${this.channelId}/messages?since_id=${this.lastId}`,
         {
           method: 'get',
           headers: {
@@ -138,7 +141,7 @@ class SessionOpenGroupChannel {
         text,
         annotations
       }
-      const messageSendResult = await lib.jsonAsk(`https://${this.serverUrl}/channels/${this.channelId}/messages`,
+      const messageSendResult = await this.lib.jsonAsk(`https://${this.serverUrl}/channels/${this.channelId}/messages`,
         {
           method: 'POST',
           body: JSON.stringify(payload),
@@ -163,7 +166,7 @@ class SessionOpenGroupChannel {
 
   async messageDelete(messageIds = []) {
     try {
-      const messageDeleteResult = await lib.jsonAsk(`https://${this.serverUrl}/loki/v1/moderation/messages?ids=${encodeURIComponent(messageIds)}`,
+      const messageDeleteResult = await this.lib.jsonAsk(`https://${this.serverUrl}/loki/v1/moderation/messages?ids=${encodeURIComponent(messageIds)}`,
         {
           method: 'DELETE',
           headers: {
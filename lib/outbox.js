@@ -0,0 +1,142 @@
+// outbound queue, messages are kept (and persisted) until a snode stored them
+// or they expire, so a failed send isn't lost
+// every retry uses the same timestamp, so recipients can drop duplicates
+
+const EventEmitter = require('events')
+const crypto = require('crypto')
+const { SWARM_ERRORS } = require('./network.js')
+
+const MIN_RETRY = 5 * 1000 // in ms
+const MAX_RETRY = 10 * 60 * 1000 // in ms
+// +/- this much of every retry delay is random
+const JITTER = 0.2
+
+// emits sent { id, item, result } when a snode stored it
+// and failed { id, item, result } when it expired before that, or a snode refused it
+class Outbox extends EventEmitter {
+  // options.send async item => send result, ok is true once stored
+  // options.save async items => persist them
+  // options.minRetry first retry delay in ms, doubles after every failure
+  // options.maxRetry most delay between retries in ms
+  constructor(options = {}) {
+    super()
+    this.sendItem = options.send
+    this.save = options.save || (async () => {})
+    this.minRetry = options.minRetry || MIN_RETRY
+    this.maxRetry = Math.max(this.minRetry, options.maxRetry || MAX_RETRY)
+    // id => { id, destination, body, options, timestamp, expiresAt, attempts, lastError }
+    this.items = {}
+    // id => timer
+    this.timers = {}
+    this.busy = {}
+    this.running = false
+  }
+
+  // restore from toJSON
+  load(items) {
+    if (!Array.isArray(items)) return
+    items.forEach(item => {
+      this.items[item.id] = item
+      if (this.running) this.schedule(item, 0)
+    })
+  }
+
+  // persisted items, oldest first
+  toJSON() {
+    return Object.values(this.items).sort((a, b) => a.timestamp - b.timestamp)
+  }
+
+  // item is { destination, body, options, timestamp, expiresAt }
+  // returns the id
+  async enqueue(item) {
+    const id = crypto.randomBytes(8).toString('hex')
+    this.items[id] = { ...item, id, attempts: 0, lastError: '' }
+    await this.save(this.toJSON())
+    if (this.running) this.schedule(this.items[id], 0)
+    return id
+  }
+
+  get(id) {
+    return this.items[id]
+  }
+
+  // stop trying to send id, returns false if it wasn't queued
+  async cancel(id) {
+    if (!this.items[id]) return false
+    clearTimeout(this.timers[id])
+    delete this.timers[id]
+    delete this.items[id]
+    await this.save(this.toJSON())
+    return true
+  }
+
+  start() {
+    if (this.running) return
+    this.running = true
+    Object.values(this.items).forEach(item => this.schedule(item, 0))
+  }
+
+  stop() {
+    this.running = false
+    Object.keys(this.timers).forEach(id => clearTimeout(this.timers[id]))
+    this.timers = {}
+  }
+
+  schedule(item, delay) {
+    clearTimeout(this.timers[item.id])
+    const jittered = Math.round(delay * (1 + JITTER * (Math.random() * 2 - 1)))
+    this.timers[item.id] = setTimeout(() => this.process(item.id), jittered)
+  }
+
+  async process(id) {
+    const item = this.items[id]
+    if (!this.running || !item || this.busy[id]) return
+    delete this.timers[id]
+    if (Date.now() >= item.expiresAt) {
+      return this.finish(item, 'failed', { ok: false, error: 'expired' })
+    }
+    this.busy[id] = true
+    item.attempts++
+    let result
+    try {
+      result = await this.sendItem(item)
+    } catch (e) {
+      console.error('outbox::process - sending', id, 'err', e)
+      result = { ok: false, error: e.message }
+    }
+    this.busy[id] = false
+    // cancelled while we were sending
+    if (this.items[id] !== item) return
+    if (result && result.ok) {
+      return this.finish(item, 'sent', result)
+    }
+    item.lastError = (result && result.error) || 'unknown'
+    // retrying won't change a snode's mind
+    if (item.lastError === SWARM_ERRORS.REJECTED) {
+      return this.finish(item, 'failed', result)
+    }
+    const delay = Math.min(this.maxRetry, this.minRetry * Math.pow(2, item.attempts - 1))
+    if (Date.now() + delay >= item.expiresAt) {
+      return this.finish(item, 'failed', result || { ok: false, error: item.lastError })
+    }
+    console.warn('outbox::process - sending', id, 'to', item.destination, 'failed', item.attempts, 'times,', item.lastError, 'retrying in', delay)
+    // attempts and lastError
+    await this.save(this.toJSON())
+    if (this.running) this.schedule(item, delay)
+  }
+
+  async finish(item, event, result) {
+    delete this.items[item.id]
+    await this.save(this.toJSON())
+    try {
+      this.emit(event, { id: item.id, item, result })
+    } catch (e) {
+      // a listener threw, it's still done
+      console.error('outbox::finish -', event, 'listener err', e)
+    }
+  }
+}
+
+module.exports = {
+  Outbox
+}
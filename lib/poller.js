@@ -0,0 +1,166 @@
+// runs every source (our inbox, each open and closed group) on its own schedule
+// a source polls fast while it's active and backs off while it's idle
+// with jitter, so a fleet of clients started together doesn't poll in lockstep
+// a source that throws backs off exponentially, without affecting the others
+
+const EventEmitter = require('events')
+
+const MIN_INTERVAL = 3 * 1000 // in ms
+// an idle source's interval grows by this much after every empty poll
+const IDLE_BACKOFF = 1.5
+// +/- this much of every delay is random
+const JITTER = 0.2
+// a long-poll that took this long was held by the server, so we can ask again right away
+const LONG_POLL_HELD = 5 * 1000 // in ms
+const LONG_POLL_GAP = 250 // in ms
+// a failing source waits twice as long after every failure, up to this
+const MAX_FAILURE_INTERVAL = 5 * 60 * 1000 // in ms
+
+// emits failure { name, error, failures, delay } when a source throws
+// and recovered { name, failures } when it works again
+class Poller extends EventEmitter {
+  // options.minInterval delay between polls while active in ms
+  // options.maxInterval delay between polls while idle in ms, Defaults: 10x minInterval
+  // options.maxFailureInterval delay between polls while failing in ms
+  // options.jitter ratio of every delay that's random
+  constructor(options = {}) {
+    super()
+    this.minInterval = options.minInterval || MIN_INTERVAL
+    this.maxInterval = Math.max(this.minInterval, options.maxInterval || this.minInterval * 10)
+    this.maxFailureInterval = Math.max(this.maxInterval, options.maxFailureInterval || MAX_FAILURE_INTERVAL)
+    this.jitter = options.jitter !== undefined ? options.jitter : JITTER
+    // name => { name, fn, longPoll, interval, failures, timer, due, busy, started, generation }
+    this.sources = {}
+    this.running = false
+  }
+
+  // fn is async and resolves to how many new messages it got
+  // it gets { abandoned }, a function that's true once the watchdog restarted name without it
+  // options.longPoll fn's request may be held by the server until there's something new
+  add(name, fn, options = {}) {
+    if (this.sources[name]) return
+    const source = {
+      name,
+      fn,
+      longPoll: !!options.longPoll,
+      interval: this.minInterval,
+      // consecutive failures
+      failures: 0,
+      timer: false,
+      // when the timer should fire
+      due: 0,
+      busy: false,
+      // when the current run started
+      started: 0,
+      // bumped by restart, so an abandoned run can't schedule a second loop
+      generation: 0
+    }
+    this.sources[name] = source
+    if (this.running) this.schedule(source, 0)
+  }
+
+  remove(name) {
+    const source = this.sources[name]
+    if (!source) return
+    clearTimeout(source.timer)
+    delete this.sources[name]
+  }
+
+  names() {
+    return Object.keys(this.sources)
+  }
+
+  start() {
+    if (this.running) return
+    this.running = true
+    Object.values(this.sources).forEach(source => this.schedule(source, source.interval))
+  }
+
+  stop() {
+    this.running = false
+    Object.values(this.sources).forEach(source => clearTimeout(source.timer))
+  }
+
+  // something happened on name (like we sent something), expect a reply soon
+  activity(name) {
+    const source = this.sources[name]
+    if (!source) return
+    source.interval = this.minInterval
+    // a failing source keeps backing off
+    if (this.running && !source.busy && !source.failures) this.schedule(source, source.interval)
+  }
+
+  // sources that haven't made progress in threshold ms
+  // either a run that never finished, or a timer that never fired
+  stalled(threshold) {
+    if (!this.running) return []
+    const now = Date.now()
+    return Object.values(this.sources).filter(source => source.busy
+      ? now - source.started > threshold
+      : now - source.due > threshold
+    ).map(source => source.name)
+  }
+
+  // abandon whatever name is doing and poll it again right away
+  restart(name) {
+    const source = this.sources[name]
+    if (!source || !this.running) return
+    source.generation++
+    source.busy = false
+    this.schedule(source, 0)
+  }
+
+  withJitter(delay) {
+    return Math.max(0, Math.round(delay * (1 + this.jitter * (Math.random() * 2 - 1))))
+  }
+
+  schedule(source, delay) {
+    clearTimeout(source.timer)
+    const jittered = this.withJitter(delay)
+    source.due = Date.now() + jittered
+    source.timer = setTimeout(() => this.run(source), jittered)
+  }
+
+  async run(source) {
+    // stopped or removed since it was scheduled
+    if (!this.running || this.sources[source.name] !== source || source.busy) return
+    source.busy = true
+    source.started = Date.now()
+    const generation = source.generation
+    let count = 0
+    let error = false
+    try {
+      count = (await source.fn({ abandoned: () => source.generation !== generation })) || 0
+    } catch (e) {
+      error = e || new Error('polling ' + source.name + ' failed')
+    }
+    // restarted while we were waiting, that loop owns it now
+    if (source.generation !== generation) return
+    source.busy = false
+    if (!this.running || this.sources[source.name] !== source) return
+    if (error) {
+      source.failures++
+      const delay = Math.min(this.maxFailureInterval, this.minInterval * Math.pow(2, source.failures - 1))
+      console.error('poller::run - polling', source.name, 'failed', source.failures, 'times, retrying in', delay, 'err', error)
+      this.emit('failure', { name: source.name, error, failures: source.failures, delay })
+      this.schedule(source, delay)
+      return
+    }
+    if (source.failures) {
+      this.emit('recovered', { name: source.name, failures: source.failures })
+      source.failures = 0
+    }
+    // fast when active, slow when idle
+    source.interval = count ? this.minInterval : Math.min(this.maxInterval, Math.round(source.interval * IDLE_BACKOFF))
+    let delay = source.interval
+    if (source.longPoll && Date.now() - source.started >= LONG_POLL_HELD) {
+      // the server did the waiting for us
+      delay = LONG_POLL_GAP
+    }
+    this.schedule(source, delay)
+  }
+}
+
+module.exports = {
+  Poller
+}
@@ -0,0 +1,148 @@
+// proof of work in a pool of worker threads, so polling and everything else keeps running
+// every job is split across the whole pool: worker i tries nonces i, i + size, i + 2 * size...
+// jobs run one at a time, in order
+
+const os = require('os')
+const path = require('path')
+const { Worker } = require('worker_threads')
+
+// leave a core for the main thread
+const POOL_SIZE = Math.max(1, Math.min(4, os.cpus().length - 1))
+
+function abortError() {
+  const error = new Error('proof of work aborted')
+  error.name = 'AbortError'
+  return error
+}
+
+class PowPool {
+  // options.size how many worker threads, Defaults: cores - 1, at most 4
+  constructor(options = {}) {
+    this.size = options.size || POOL_SIZE
+    this.workers = []
+    // id => { onResult }
+    this.jobs = {}
+    this.nextId = 0
+    // the last job, the next one waits for every worker to be done with it
+    this.chain = Promise.resolve()
+  }
+
+  // workers are started on first use, and only keep the process alive while they have a job
+  getWorkers() {
+    while (this.workers.length < this.size) {
+      const worker = new Worker(path.join(__dirname, 'pow_worker.js'))
+      worker.on('message', msg => {
+        const job = this.jobs[msg.id]
+        if (job) job.onResult(msg)
+      })
+      // replaced on the next job, fail the current one
+      const lost = message => {
+        // exit follows error, only fail jobs once
+        if (!this.workers.includes(worker)) return
+        this.workers = this.workers.filter(w => w !== worker)
+        Object.values(this.jobs).forEach(job => job.onResult({ error: message }))
+      }
+      worker.on('error', e => {
+        console.error('pow::worker - err', e)
+        lost(e.message)
+      })
+      worker.on('exit', code => {
+        console.error('pow::worker - exited', code)
+        lost('proof of work worker exited with ' + code)
+      })
+      // after the listeners, adding one refs it again
+      worker.unref()
+      this.workers.push(worker)
+    }
+    return this.workers
+  }
+
+  // same as calcPoW in proof-of-work.js
+  // options.signal AbortSignal, rejects with an AbortError when it fires
+  // returns a promise of the base64 nonce
+  calcPoW(timestamp, ttl, pubKey, data, difficulty, options = {}) {
+    const signal = options.signal
+    // don't wait in line to find out
+    const onAbort = () => result.reject(abortError())
+    // sendMany shares one signal between all its jobs, so don't leave listeners behind
+    const cleanup = () => signal && signal.removeEventListener('abort', onAbort)
+    let result
+    const done = new Promise((resolve, reject) => {
+      result = {
+        resolve: nonce => { cleanup(); resolve(nonce) },
+        reject: e => { cleanup(); reject(e) }
+      }
+    })
+    if (signal) signal.addEventListener('abort', onAbort, { once: true })
+    this.chain = this.chain
+      .then(() => this.run({ timestamp, ttl, pubKey, data, difficulty }, signal, result))
+      .catch(e => {
+        // like a worker that can't start, fail this job but keep the line moving
+        console.error('pow::calcPoW - err', e)
+        result.reject(e)
+      })
+    return done
+  }
+
+  // resolves once every worker is done with the job
+  run(params, signal, result) {
+    if (signal && signal.aborted) {
+      result.reject(abortError())
+      return
+    }
+    const id = this.nextId++
+    const stop = new Int32Array(new SharedArrayBuffer(4))
+    const workers = this.getWorkers()
+    workers.forEach(worker => worker.ref())
+    return new Promise(resolve => {
+      let pending = workers.length
+      let settled = false
+      const settle = (error, nonce) => {
+        if (settled) return
+        settled = true
+        // tell everyone else to stop
+        Atomics.store(stop, 0, 1)
+        if (error) result.reject(error)
+        else result.resolve(nonce)
+      }
+      const onAbort = () => settle(abortError())
+      if (signal) signal.addEventListener('abort', onAbort)
+      this.jobs[id] = {
+        onResult: msg => {
+          if (msg.nonce) settle(null, msg.nonce)
+          else if (msg.error) settle(new Error(msg.error))
+          pending--
+          if (pending > 0) return
+          delete this.jobs[id]
+          workers.forEach(worker => worker.unref())
+          if (signal) signal.removeEventListener('abort', onAbort)
+          // every worker stopped without a nonce
+          settle(abortError())
+          resolve()
+        }
+      }
+      workers.forEach((worker, i) => {
+        worker.postMessage({
+          ...params,
+          id,
+          increment: workers.length,
+          startNonce: i,
+          stop: stop.buffer
+        })
+      })
+    })
+  }
+}
+
+// shared by every client, PoW is CPU bound anyway
+let defaultPool
+
+function calcPoW(...args) {
+  if (!defaultPool) defaultPool = new PowPool()
+  return defaultPool.calcPoW(...args)
+}
+
+module.exports = {
+  PowPool,
+  calcPoW
+}
@@ -0,0 +1,15 @@
+// grinds PoW nonces for pow.js, off the main thread
+const { parentPort } = require('worker_threads')
+const pow = require('../external/libloki/proof-of-work.js')
+
+parentPort.on('message', job => {
+  // set by pow.js once any worker found a nonce, or the caller gave up
+  const stop = new Int32Array(job.stop)
+  try {
+    const nonce = pow.calcPoWSync(job.timestamp, job.ttl, job.pubKey, job.data, job.difficulty,
+      job.increment, job.startNonce, () => Atomics.load(stop, 0) !== 0)
+    parentPort.postMessage({ id: job.id, nonce })
+  } catch (e) {
+    parentPort.postMessage({ id: job.id, error: e.message })
+  }
+})
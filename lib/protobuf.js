@@ -17,6 +17,11 @@ protobuf.load(protoPath + 'SignalService.proto', function(err, signalRoot) {
   module.exports.LokiProfile = signalRoot.lookupType('LokiProfile')
   module.exports.GroupInvitation = signalRoot.lookupType('GroupInvitation')
   module.exports.PreKeyBundleMessage = signalRoot.lookupType('PreKeyBundleMessage')
+  module.exports.ReceiptMessage = signalRoot.lookupType('ReceiptMessage')
+  module.exports.TypingMessage = signalRoot.lookupType('TypingMessage')
+  module.exports.MediumGroupUpdate = signalRoot.lookupType('MediumGroupUpdate')
+  module.exports.MediumGroupCiphertext = signalRoot.lookupType('MediumGroupCiphertext')
+  module.exports.MediumGroupContent = signalRoot.lookupType('MediumGroupContent')
 })
 protobuf.load(protoPath + 'UnidentifiedDelivery.proto', function(err, uniddelRoot) {
   if (err) console.error('proto err', err)
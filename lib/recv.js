@@ -3,9 +3,12 @@ const crypto = require('crypto')
 const signalcrypto = require('../port/signal-crypto.js')
 const protobuf = require('./protobuf.js')
 const fallbackUtils = require('../port/fallback.js')
+const sessionUtils = require('./sessions.js')
 
 const CIPHERTEXT_VERSION = 1
 const UNIDENTIFIED_DELIVERY_PREFIX = 'UnidentifiedDelivery'
+// how long to keep retrying a message we can't decode, like one from a sender whose key we don't have yet
+const RETRY_UNDECODED = 60 * 60 * 1000 // in ms
 
 async function _calculateEphemeralKeys(ephemeralPublic, ephemeralPrivate, salt) {
   const ephemeralSecret = libsignal.curve.calculateAgreement(
@@ -102,13 +105,42 @@ function unpad(paddedData) {
   throw new Error('Invalid padding')
 }
 
-async function handleUnidentifiedMessageType(env, ourKeypair) {
+// every envelope type decodes to the same shape:
+// { ...Content, source, envelopeType, timestamp }
+// closed group messages also have closedGroup set
+function decodedMessage(env, source, content) {
+  return {
+    ...content,
+    source,
+    envelopeType: env.type,
+    timestamp: Number(env.timestamp)
+  }
+}
+
+// padded Content protobuf bytes => Content
+function decodeContent(padded) {
+  const plaintext = unpad(padded)
+  return protobuf.Content.decode(new Uint8Array(plaintext))
+}
+
+// decrypt a CIPHERTEXT (1) or PREKEY_BUNDLE (3) body from one of our ratcheted sessions
+// returns the Content
+async function decryptSessionContent(source, type, body, options) {
+  if (!options.sessionStorage) {
+    console.warn('recv::decryptSessionContent - no session storage, can not decrypt type', type, 'from', source)
+    return
+  }
+  const padded = await sessionUtils.decrypt(options.sessionStorage, source, type, body)
+  return decodeContent(padded)
+}
+
+async function handleUnidentifiedMessageType(env, ourKeypair, options = {}) {
   // get version
   const version = (env.content[0] & 0xff) >> 4
 
   // check version
   if (version > CIPHERTEXT_VERSION) {
-    throw new Error(`Unknown version: ${this.version}`)
+    throw new Error(`Unknown version: ${version}`)
   }
 
   // decode remainder
@@ -185,10 +217,8 @@ async function handleUnidentifiedMessageType(env, ourKeypair) {
     const padded = fallbackUtils.fallbackDecrypt(
       ourKeypair.privKey, message.senderCertificate.sender, message.content
     )
-    const plaintext = unpad(padded)
     // innerHandleContentMessage
-
-    const content = protobuf.Content.decode(new Uint8Array(plaintext))
+    const content = decodeContent(padded)
     //console.log('content', content)
 
     /*
@@ -249,18 +279,79 @@ PreKeyBundleMessage {
       }
     }
     */
-    return { ...content, source: message.senderCertificate.sender }
-  } else {
-    console.warn('unhandled innerContent type', type, 'message type', message.type)
+    return decodedMessage(env, message.senderCertificate.sender, content)
+  }
+  // type 1 or 3
+  const content = await decryptSessionContent(message.senderCertificate.sender, type, message.content, options)
+  if (content) {
+    return decodedMessage(env, message.senderCertificate.sender, content)
+  }
+}
+
+// sent without sealed sender, source is on the envelope
+async function handleSessionMessageType(env, ourKeypair, options = {}) {
+  const content = await decryptSessionContent(env.source, env.type, env.content, options)
+  if (content) {
+    return decodedMessage(env, env.source, content)
   }
 }
 
+// static DH, what we (and other clients) send before there's a session
+async function handleFallbackMessageType(env, ourKeypair) {
+  if (!env.source || !env.content) {
+    throw new Error('Missing fields')
+  }
+  const padded = fallbackUtils.fallbackDecrypt(ourKeypair.privKey, env.source, env.content)
+  return decodedMessage(env, env.source, decodeContent(padded))
+}
+
+// legacy delivery receipt, no content
+// the envelope timestamp is the timestamp of the message being acknowledged
+async function handleReceiptMessageType(env) {
+  return decodedMessage(env, env.source, {
+    receiptMessage: {
+      // ReceiptMessage.Type.DELIVERY
+      type: 0,
+      timestamp: [env.timestamp]
+    }
+  })
+}
+
+// options.closedGroup is the SessionClosedGroup whose swarm we're polling
+// options.ourPubkeyHex so our own messages are skipped
+async function handleMediumGroupMessageType(env, ourKeypair, options = {}) {
+  const group = options.closedGroup
+  if (!group) {
+    console.warn('recv::handleMediumGroupMessageType - closed group message outside of a group swarm')
+    return
+  }
+  const result = group.decrypt(env.content, options.ourPubkeyHex)
+  // we know what we sent
+  if (result.ours) return
+  if (result.missingSenderKey) {
+    // let the client ask for it
+    return { ...decodedMessage(env, result.source, {}), closedGroup: group.id, missingSenderKey: true }
+  }
+  const content = decodeContent(result.plaintext)
+  return { ...decodedMessage(env, result.source, content), closedGroup: group.id }
+}
+
 const decodeMessageMap = {
+  // CIPHERTEXT
+  1: handleSessionMessageType,
+  // PREKEY_BUNDLE
+  3: handleSessionMessageType,
+  // RECEIPT
+  5: handleReceiptMessageType,
   // UNIDENTIFIED_SENDER
-  6: handleUnidentifiedMessageType
+  6: handleUnidentifiedMessageType,
+  // MEDIUM_GROUP_CIPHERTEXT
+  7: handleMediumGroupMessageType,
+  // FALLBACK_MESSAGE
+  101: handleFallbackMessageType
 }
 
-function handleMessage(msg, ourKeypair) {
+function handleMessage(msg, ourKeypair, options) {
   // encode message as base64 and then uint8array
   const buf = Buffer.from(msg.data, 'base64')
 
@@ -295,55 +386,135 @@ content:
 <Buffer 11 0a 21 05 1c 97 2a 1b d8 d7 35 38 01 4f 90 eb 66 18 9d 96 36 b6 da d5 ac a6 21 ab 8f 02 ce 46 8c 7f d0 29 12 2b 2e 71 4c a5 14 50 2a 10 1a fe 2b f3 ... > }
 */
   if (decodeMessageMap[env.type]) {
-    return decodeMessageMap[env.type](env, ourKeypair)
+    return decodeMessageMap[env.type](env, ourKeypair, options)
   } else {
     console.warn('unhandled envelope type', env.type)
   }
 }
 
-async function checkBox(pubKey, ourKeypair, inLasthash, lib, debug) {
-  if (inLasthash === null) {
-    console.trace('recv::checkBox - inLasthash can not be null')
-    inLasthash = undefined
+// decode retrieved messages, logging the ones we can't
+// returns { raw, message, failed } for every raw message, in order
+// message is undefined if there's nothing to hand on (like our own closed group messages)
+// failed is true if it could be decoded later, once we have the key
+async function decodeMessages(rawMessages, ourKeypair, options) {
+  const decoded = await Promise.all(rawMessages.map(async msg => {
+    /*
+     { data:
+            'CAESrgQKA1BVVBIPL2FwaS92MS9tZXNzYWdlGosECAYSACioz+7buy44AEL7AxEKIQXBLxkB745ij47zWCVCR97MXUPjoXDdIh73x2hjydWUQxIrIcl/2e/kdA0xfFj9hyDLkv9yHxdPSmsKxBpZOPyX0nDuHyHdnICArMjNixqnAx0UKnuvmKiPvUh5To22BbpgZ6L4GJwLjL2t/KtX4ufQZ955wzCseM9r+1E0/1cWf6uqax1nQbcAkPiqrMTzoQ+9r02HA5DrYRdI5azyQjB7uOHYcEmBmXj3mW93gA53jD6ohkxdFDEd0Jimo69geQug/iksB5/eLUbcT1lQjWYbsu0U22lvqv6vSTUEzBJcP46fcrLoBt1nb2KkZv5okGETQISc2RLBd1hIctitclhReXWvc/sKtXaU49sCCdR6EjzoKLQojIy0+yPjBDyK7n+Io/gnPPBU4t78QxuWxAQuRvb1x+xU/NLHEosNa9ArnCbzlDwXyyYRhFv6d4W3Q4fXy/Bbsu6rj3S/vomgtQPdt9Xu6vwn/eoWeKsB9PV7ON19AYRhOeDdhM5lMcg8SvyT/dKSNlInadEeiuTRxpDJGQ3yC1CkMwo8BEpnr64XMQ14UvZOC2/JLBMFTHQIbRcu96RJdseUb9edtW7uyxEEu/fve9NZWAPb3tX0m288ZzpoIH5PgXLRzhN0Z68CyoeCEuO7RU7B6TKqW8H7DBZgnbIv/ECFeyDPzMLazvL2g1A=',
+           expiration: 1596747510107,
+           hash:
+            '0002fd94c689db923cba606efa53e1ecb8541bc2afa51793a2f7d5c4c6cda4937a3aa532096e15d1ba9109ee5553cda4985bdb0427bf2934b399c8b198cd72ab'
+    */
+    try {
+      const message = await handleMessage(msg, ourKeypair, options)
+      return { raw: msg, message, failed: !!(message && message.missingSenderKey) }
+    } catch (e) {
+      console.error('recv::decodeMessages - can not decode message', msg.hash, e)
+      return { raw: msg, failed: true }
+    }
+  }))
+  return decoded
+}
+
+// retrieve pubKey's messages from options.count swarm members in parallel
+// so one snode lagging behind can't hide or delay messages
+// cursor is { lastHash, lastHashes (snode url => lastHash) }, lastHash is for snodes we haven't asked yet
+// options.seen { has, add } of message hashes we already have, shared between polls
+// (SessionClient's seenFor, which remembers them in its Deduplicator)
+// options.retry hash => when it first failed, set it to keep retrying messages we can't decode (yet)
+// the cursor stays before them and they're not seen, for up to RETRY_UNDECODED
+// returns { ok: true, lastHash, lastHashes, messages }
+// messages we can't decode (yet) are only included if they are missingSenderKey
+// or a failed lib.swarmRequest result ({ ok: false, error, ... }) if no snode answered
+async function checkSwarm(pubKey, ourKeypair, cursor, lib, debug, options = {}) {
+  const lastHashes = { ...cursor.lastHashes }
+  const urls = await lib.getSwarmsnodeUrls(pubKey, options.count || 1)
+  // no swarm, let swarmRequest tell us why
+  if (!urls.length) urls.push(undefined)
+  if (debug) console.log('retrieve start', pubKey, urls)
+  const results = await Promise.all(urls.map(url => lib.swarmRequest(pubKey, 'retrieve', {
+    lastHash: (url && lastHashes[url]) || cursor.lastHash || undefined
+  }, {
+    deadline: options.deadline,
+    headers: options.longPoll ? { 'X-Loki-Long-Poll': 'true' } : undefined,
+    snode: url
+  })))
+  if (debug) console.log('retrieve end', results.map(result => result.snode))
+  const answered = results.filter(result => result.ok)
+  if (!answered.length) {
+    console.warn('recv::checkSwarm - could not retrieve for', pubKey, results[0].error, results[0].status)
+    return results[0]
   }
-  //console.log('snodes', snodeData.snodes)
-  const url = await lib.getSwarmsnodeUrl(pubKey)
-  if (debug) console.log('jsonrpc start', url, pubKey, inLasthash)
-  const messageData = await lib.pubKeyAsk(url, 'retrieve', pubKey, {
-    lastHash: inLasthash
+  // merge by hash, in the order snodes returned them
+  const seen = options.seen
+  const hashes = new Set()
+  const rawMessages = []
+  answered.forEach(result => {
+    if (!result.body.messages) {
+      // Service node is not ready: not in any swarm; not done syncing;
+      console.log('(missing messages) messageData', result.body)
+    }
+    (result.body.messages || []).forEach(msg => {
+      if (hashes.has(msg.hash) || (seen && seen.has(msg.hash))) return
+      hashes.add(msg.hash)
+      rawMessages.push(msg)
+    })
   })
-  if (debug) console.log('jsonrpc end')
-  if (!messageData) {
-    //console.error('recv::checkBox - no messageData')
-    return
-  }
-  if (!messageData.messages) {
-    // Service node is not ready: not in any swarm; not done syncing;
-    console.log('(missing messages) messageData', messageData)
+  const decoded = await decodeMessages(rawMessages, ourKeypair, options)
+  // still worth retrying, keep the cursor before them
+  const held = new Set()
+  const retry = options.retry
+  const now = Date.now()
+  decoded.forEach(({ raw, failed }) => {
+    if (failed && retry) {
+      if (!retry[raw.hash]) retry[raw.hash] = now
+      if (now - retry[raw.hash] < RETRY_UNDECODED) {
+        held.add(raw.hash)
+        return
+      }
+      console.warn('recv::checkSwarm - giving up on', raw.hash, 'for', pubKey)
+    }
+    if (retry) delete retry[raw.hash]
+    // only once decoded, ratchets can't decrypt the same message twice
+    if (seen) seen.add(raw.hash)
+  })
+  if (retry) {
+    // gone from the swarm
+    Object.keys(retry).filter(hash => !hashes.has(hash) && now - retry[hash] >= RETRY_UNDECODED)
+      .forEach(hash => delete retry[hash])
   }
-  let outLasthash = inLasthash
-  let newMsgs = []
-  // just make sure it's an array
-  if (messageData.messages && messageData.messages.length) {
-    // console.log('got', messageData.messages.length, 'msgs for', pubKey)
-    newMsgs = await Promise.all(messageData.messages.map(async msg => {
-      /*
-       { data:
-              'CAESrgQKA1BVVBIPL2FwaS92MS9tZXNzYWdlGosECAYSACioz+7buy44AEL7AxEKIQXBLxkB745ij47zWCVCR97MXUPjoXDdIh73x2hjydWUQxIrIcl/2e/kdA0xfFj9hyDLkv9yHxdPSmsKxBpZOPyX0nDuHyHdnICArMjNixqnAx0UKnuvmKiPvUh5To22BbpgZ6L4GJwLjL2t/KtX4ufQZ955wzCseM9r+1E0/1cWf6uqax1nQbcAkPiqrMTzoQ+9r02HA5DrYRdI5azyQjB7uOHYcEmBmXj3mW93gA53jD6ohkxdFDEd0Jimo69geQug/iksB5/eLUbcT1lQjWYbsu0U22lvqv6vSTUEzBJcP46fcrLoBt1nb2KkZv5okGETQISc2RLBd1hIctitclhReXWvc/sKtXaU49sCCdR6EjzoKLQojIy0+yPjBDyK7n+Io/gnPPBU4t78QxuWxAQuRvb1x+xU/NLHEosNa9ArnCbzlDwXyyYRhFv6d4W3Q4fXy/Bbsu6rj3S/vomgtQPdt9Xu6vwn/eoWeKsB9PV7ON19AYRhOeDdhM5lMcg8SvyT/dKSNlInadEeiuTRxpDJGQ3yC1CkMwo8BEpnr64XMQ14UvZOC2/JLBMFTHQIbRcu96RJdseUb9edtW7uyxEEu/fve9NZWAPb3tX0m288ZzpoIH5PgXLRzhN0Z68CyoeCEuO7RU7B6TKqW8H7DBZgnbIv/ECFeyDPzMLazvL2g1A=',
-             expiration: 1596747510107,
-             hash:
-              '0002fd94c689db923cba606efa53e1ecb8541bc2afa51793a2f7d5c4c6cda4937a3aa532096e15d1ba9109ee5553cda4985bdb0427bf2934b399c8b198cd72ab'
-      */
-      outLasthash = msg.hash
-      return handleMessage(msg, ourKeypair)
-    }))
+  let lastHash = cursor.lastHash
+  let newest = 0
+  answered.forEach(result => {
+    const messages = result.body.messages || []
+    // up to the first message we're holding
+    const stop = messages.findIndex(msg => held.has(msg.hash))
+    const handled = stop === -1 ? messages : messages.slice(0, stop)
+    if (!handled.length) return
+    const last = handled[handled.length - 1]
+    lastHashes[result.snode] = last.hash
+    // the newest message anyone returned moves our overall cursor
+    // storage servers don't always send the timestamp, expiration is close enough
+    const when = Number(last.timestamp || last.expiration) || 0
+    if (when >= newest) {
+      newest = when
+      lastHash = last.hash
+    }
+  })
+  // forget snodes that left the swarm
+  const swarm = lib.getSwarm(pubKey)
+  if (swarm) {
+    const members = swarm.snodes.map(snode => lib.getSnodeUrl(snode))
+    Object.keys(lastHashes).filter(url => !members.includes(url)).forEach(url => delete lastHashes[url])
   }
   return {
-    lastHash: outLasthash,
-    messages: newMsgs.filter(msg => !!msg)
+    ok: true,
+    lastHash,
+    lastHashes,
+    messages: decoded.filter(result => result.message).map(result => result.message)
   }
 }
 
 module.exports = {
-  checkBox
+  checkSwarm
 }
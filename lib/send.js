@@ -1,7 +1,9 @@
-const pow = require('../external/libloki/proof-of-work.js')
+const crypto = require('crypto')
+const pow = require('./pow.js')
+const { SWARM_ERRORS } = require('./network.js')
 const protobuf = require('./protobuf.js')
 const fallbackUtils = require('../port/fallback.js')
-const crypto = require('crypto')
+const sessionUtils = require('./sessions.js')
 
 function getPaddedMessageLength(originalLength) {
   const messageLengthWithTerminator = originalLength + 1
@@ -24,13 +26,126 @@ function padPlainTextBuffer(messageBuffer) {
   return plaintext
 }
 
+// SignalService.ReceiptMessage.Type
+const RECEIPT_TYPES = {
+  delivery: 0,
+  read: 1
+}
+
+// SignalService.TypingMessage.Action
+const TYPING_ACTIONS = {
+  started: 0,
+  stopped: 1
+}
+
+// Constants.TTL_DEFAULT.REGULAR_MESSAGE
+const REGULAR_TTL = 2 * 86400 * 1000 // in ms
+
+// Constants.TTL_DEFAULT.TYPING_MESSAGE
+const TYPING_TTL = 20 * 1000 // in ms
+
+// a snode asking for more PoW than this is broken or hostile, don't burn our CPU on it
+const MAX_DIFFICULTY = 100
+// how many times we'll redo the PoW at a difficulty a snode asked for
+const MAX_DIFFICULTY_RETRIES = 3
+
+// how many recipients sendMany works on at once
+const SEND_MANY_CONCURRENCY = 4
+
 async function send(toPubkey, sourceKeypair, body, lib, options = {}) {
-  // Constants.TTL_DEFAULT.REGULAR_MESSAGE
-  const ttl = 2 * 86400 * 1000 // in ms
-  const timestamp = Date.now()
-  const difficulty = 1
+  const { dataMessage, timestamp, ttl } = makeDataMessage(body, options)
+  return sendContent(toPubkey, sourceKeypair, { dataMessage }, lib, {
+    timestamp, ttl, sessionStorage: options.sessionStorage, deadline: options.deadline, signal: options.signal
+  })
+}
+
+// send a DataMessage to everyone in a closed group
+async function sendClosedGroup(group, sourceKeypair, body, lib, options = {}) {
+  const { dataMessage, timestamp, ttl } = makeDataMessage(body, {
+    ...options,
+    // GroupContext.Type.DELIVER
+    group: { id: group.keypair.pubKey, type: 2 }
+  })
+  return sendClosedGroupContent(group, sourceKeypair, { dataMessage }, lib, {
+    timestamp, ttl, deadline: options.deadline, signal: options.signal
+  })
+}
+
+// send the same DataMessage to many pubkeys, the Content is only built once
+// options.concurrency how many recipients at once
+// options.rate most recipients started per second, Defaults: no limit
+// returns a send result with destination for each pubkey, in order
+async function sendMany(toPubkeys, sourceKeypair, body, lib, options = {}) {
+  const { dataMessage, timestamp, ttl } = makeDataMessage(body, options)
+  const rawContent = { dataMessage }
+  const encodedContent = encodeContent(rawContent)
+  const concurrency = options.concurrency || SEND_MANY_CONCURRENCY
+  // look every swarm up before we start, lookups are cheap next to PoW
+  await mapLimit(toPubkeys, concurrency, toPubkey => lib.getSwarmsnodeUrl(toPubkey))
+  const throttle = makeThrottle(options.rate)
+  return mapLimit(toPubkeys, concurrency, async toPubkey => {
+    await throttle()
+    try {
+      const result = await sendContent(toPubkey, sourceKeypair, rawContent, lib, {
+        timestamp,
+        ttl,
+        encodedContent,
+        sessionStorage: options.sessionStorage,
+        deadline: options.deadline,
+        signal: options.signal
+      })
+      return { destination: toPubkey, ...result }
+    } catch (e) {
+      console.error('send::sendMany - sending to', toPubkey, 'err', e)
+      return { destination: toPubkey, ok: false, error: e.message }
+    }
+  })
+}
+
+// run fn on every item, at most limit at a time, results in order
+async function mapLimit(items, limit, fn) {
+  const results = []
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++
+      results[i] = await fn(items[i])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
 
-  const swarmUrl = await lib.getSwarmsnodeUrl(toPubkey)
+// resolves when the next call is allowed to start, at most rate per second
+function makeThrottle(rate) {
+  let nextStart = 0
+  return async () => {
+    if (!rate) return
+    const now = Date.now()
+    const wait = nextStart - now
+    nextStart = Math.max(now, nextStart) + 1000 / rate
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait))
+  }
+}
+
+// how long the storage server keeps a DataMessage, in ms
+function messageTTL(options) {
+  if (options.ttl) return options.ttl
+  // disappearing messages, in seconds
+  // no point in the storage server keeping it longer than the recipient will
+  // but the timer change itself (EXPIRATION_TIMER_UPDATE), session resets (END_SESSION)
+  // and closed group updates have to get there
+  const control = (options.flags & 3) || options.mediumGroupUpdate
+  if (options.expireTimer && !control) {
+    return Math.min(REGULAR_TTL, options.expireTimer * 1000)
+  }
+  return REGULAR_TTL
+}
+
+// build a DataMessage protobuf from send options
+// options.timestamp is kept when a queued message is retried, so recipients can drop duplicates
+function makeDataMessage(body, options) {
+  const timestamp = options.timestamp || Date.now()
 
   const rawDM = {
     body: body,
@@ -56,6 +171,41 @@ async function send(toPubkey, sourceKeypair, body, lib, options = {}) {
     }
     rawDM.profile = profile
   }
+  if (options.quote) {
+    // id is the timestamp of the message being replied to
+    rawDM.quote = {
+      id: options.quote.id || options.quote.timestamp,
+      author: options.quote.author,
+      text: options.quote.text
+    }
+    if (options.quote.attachments) {
+      // only contentType, fileName and an optional thumbnail AttachmentPointer
+      rawDM.quote.attachments = options.quote.attachments.map(attachment => ({
+        contentType: attachment.contentType,
+        fileName: attachment.fileName,
+        thumbnail: attachment.thumbnail
+      }))
+    }
+  }
+  if (options.previews) {
+    // image is an AttachmentPointer, if set
+    rawDM.preview = options.previews.map(preview => ({
+      url: preview.url,
+      title: preview.title,
+      image: preview.image
+    }))
+  }
+  if (options.contacts) {
+    // already in DataMessage.Contact shape, see contact.js
+    rawDM.contact = options.contacts
+  }
+  if (options.group) {
+    // GroupContext
+    rawDM.group = options.group
+  }
+  if (options.mediumGroupUpdate) {
+    rawDM.mediumGroupUpdate = options.mediumGroupUpdate
+  }
   if (options.groupInvitation) {
     // yea we don't need to create a protobuf for these sub-structures
     rawDM.groupInvitation = options.groupInvitation
@@ -63,19 +213,10 @@ async function send(toPubkey, sourceKeypair, body, lib, options = {}) {
   if (options.flags) {
     rawDM.flags = options.flags
   }
-  if (options.nullMessage) {
-    const buffer = crypto.randomBytes(1) // random int between 1 and 512
-    const paddingLength = (new Uint8Array(buffer)[0] & 0x1ff) + 1
-    console.log('paddingLength', paddingLength)
-    rawDM.nullMessage = {
-      padding: crypto.randomBytes(paddingLength)
-    }
-    // may need to tweak TTL for push notes on the recving end
-    // Constants.TTL_DEFAULT.SESSION_ESTABLISHED
-    // ttl = (2 * 86400) - (1 * 3600)
-
-    // also maybe encrypted different...
+  if (options.expireTimer) {
+    rawDM.expireTimer = options.expireTimer
   }
+  const ttl = messageTTL(options)
   // rawContent verification dataMessage.body: string expected
   if (rawDM.body === undefined) rawDM.body = ''
   const errMsg5 = protobuf.DataMessage.verify(rawDM)
@@ -83,39 +224,127 @@ async function send(toPubkey, sourceKeypair, body, lib, options = {}) {
   const dmWrapper = protobuf.DataMessage.create(rawDM)
   //console.log('dmWrapper', dmWrapper)
 
-  const rawContent = {
-    dataMessage: dmWrapper
+  return { dataMessage: dmWrapper, timestamp, ttl }
+}
+
+// type is delivery or read
+async function sendReceipt(toPubkey, sourceKeypair, type, timestamps, lib, options = {}) {
+  const rawReceipt = {
+    type: RECEIPT_TYPES[type],
+    timestamp: timestamps
   }
-  // console.log('rawContent', rawContent)
-  const errMsg = protobuf.Content.verify(rawContent)
-  if (errMsg) console.error('rawContent verification', errMsg)
-  const contentWrapper = protobuf.Content.create(rawContent)
-  //console.log('contentWrapper', contentWrapper)
+  const errMsg = protobuf.ReceiptMessage.verify(rawReceipt)
+  if (errMsg) console.error('rawReceipt verification', errMsg)
+  return sendContent(toPubkey, sourceKeypair, {
+    receiptMessage: protobuf.ReceiptMessage.create(rawReceipt)
+  }, lib, { sessionStorage: options.sessionStorage })
+}
 
-  // what happens here...
-  // should be an uint8array
-  const contentBuf = protobuf.Content.encode(contentWrapper).finish()
-  //console.log('contentBuf', contentBuf)
+// action is started or stopped
+async function sendTyping(toPubkey, sourceKeypair, action, lib, options = {}) {
+  const timestamp = Date.now()
+  const rawTyping = {
+    timestamp: timestamp,
+    action: TYPING_ACTIONS[action]
+  }
+  const errMsg = protobuf.TypingMessage.verify(rawTyping)
+  if (errMsg) console.error('rawTyping verification', errMsg)
+  return sendContent(toPubkey, sourceKeypair, {
+    typingMessage: protobuf.TypingMessage.create(rawTyping)
+  }, lib, { timestamp, ttl: TYPING_TTL, sessionStorage: options.sessionStorage })
+}
 
-  // we need to cipher something...
-  // device is pubkey... (cast?)
-  // pt buf and encryption(fb) comes from message...
-  // put cipherText into content...
+// an empty Content, lets the other side finish setting up our session
+async function sendNullMessage(toPubkey, sourceKeypair, lib, options = {}) {
+  return sendContent(toPubkey, sourceKeypair, {
+    nullMessage: sessionUtils.makeNullMessage()
+  }, lib, { sessionStorage: options.sessionStorage })
+}
+
+// wrap a Content in an envelope and store it in the recipient's swarm
+// options.sessionStorage enables ratcheted sessions, see sessions.js
+// options.encodedContent rawContent already encoded, so sendMany only does it once
+async function sendContent(toPubkey, sourceKeypair, rawContent, lib, options = {}) {
+  const timestamp = options.timestamp || Date.now()
+  const storage = options.sessionStorage
+  let contentBuf = options.encodedContent
+  if (storage && !await sessionUtils.hasSession(storage, toPubkey)) {
+    // session request, so they can reply over a ratcheted session
+    rawContent = {
+      ...rawContent,
+      preKeyBundleMessage: await sessionUtils.getPreKeyBundle(storage, toPubkey)
+    }
+    contentBuf = undefined
+  }
+  if (!contentBuf) contentBuf = encodeContent(rawContent)
+  const paddedBuf = padPlainTextBuffer(contentBuf)
 
   // MessageSender.ts
   //console.log('sending to', toPubkey)
-  const content = fallbackUtils.fallbackEncrypt(
-    sourceKeypair.privKey, toPubkey, padPlainTextBuffer(contentBuf)
-  )
-  const rawEnv = {
+  const sessionCiphertext = storage && await sessionUtils.encrypt(storage, toPubkey, paddedBuf)
+  let type, content
+  if (sessionCiphertext) {
+    // CIPHERTEXT or PREKEY_BUNDLE
+    type = sessionCiphertext.type
+    content = sessionCiphertext.body
+  } else {
     // FALLBACK_MESSAGE
-    type: 101,
+    type = 101
+    content = fallbackUtils.fallbackEncrypt(sourceKeypair.privKey, toPubkey, paddedBuf)
+  }
+  const rawEnv = {
+    type: type,
     source: sourceKeypair.pubKey.toString('hex'),
     sourceDevice: 1,
     timestamp: timestamp,
     // looking for a uint8array
     content: content
   }
+  return storeEnvelope(toPubkey, rawEnv, lib, { ...options, timestamp })
+}
+
+// wrap a Content in a closed group envelope and store it in the group's swarm
+async function sendClosedGroupContent(group, sourceKeypair, rawContent, lib, options = {}) {
+  const timestamp = options.timestamp || Date.now()
+  const contentBuf = encodeContent(rawContent)
+  const content = group.encrypt(
+    padPlainTextBuffer(contentBuf), sourceKeypair.pubKey.toString('hex')
+  )
+  const rawEnv = {
+    // MEDIUM_GROUP_CIPHERTEXT
+    type: 7,
+    source: group.id,
+    sourceDevice: 1,
+    timestamp: timestamp,
+    content: content
+  }
+  return storeEnvelope(group.id, rawEnv, lib, { ...options, timestamp })
+}
+
+// returns a uint8array
+function encodeContent(rawContent) {
+  // console.log('rawContent', rawContent)
+  const errMsg = protobuf.Content.verify(rawContent)
+  if (errMsg) console.error('rawContent verification', errMsg)
+  const contentWrapper = protobuf.Content.create(rawContent)
+  //console.log('contentWrapper', contentWrapper)
+
+  // what happens here...
+  // should be an uint8array
+  return protobuf.Content.encode(contentWrapper).finish()
+}
+
+// store an envelope in toPubkey's swarm
+// PoW is done at the difficulty its snodes last asked for, and redone if one asks for more
+// options.deadline how long to keep trying other swarm members, in ms
+// options.signal AbortSignal that cancels the PoW
+// options.timestamp envelope timestamp, the message's id for receipts and quotes
+// returns the lib.swarmRequest result, ok is true once a snode stored it
+// plus { timestamp, hash, destination, swarmNode, expiresAt } of what we sent
+async function storeEnvelope(toPubkey, rawEnv, lib, options) {
+  const ttl = options.ttl || REGULAR_TTL
+  const timestamp = options.timestamp
+
   //console.log('env', rawEnv)
   const errMsg2 = protobuf.Envelope.verify(rawEnv)
   if (errMsg2) console.error('rawEnv verification', errMsg2)
@@ -147,28 +376,70 @@ async function send(toPubkey, sourceKeypair, body, lib, options = {}) {
 
   // convert data to base64...
   const data64 = wsBuf.toString('base64')
-  //pow.calcPoW(timestamp, ttl, toPubkey, data64, difficulty)
-  const nonce = await pow.calcPoW(timestamp, ttl, toPubkey, data64, difficulty)
-  //console.log('nonce', nonce, 'data64', data64)
+  // how snodes (and the recipient's retrieve) know it
+  const sent = {
+    timestamp,
+    hash: crypto.createHash('sha512')
+      .update(timestamp.toString() + ttl.toString() + toPubkey + data64)
+      .digest('hex'),
+    destination: toPubkey,
+    expiresAt: timestamp + ttl
+  }
+  // enough for whichever member we end up at, as far as we know
+  let difficulty = lib.getSwarmDifficulty(toPubkey)
+  let snode
+  let result
+  for (let retries = 0; retries <= MAX_DIFFICULTY_RETRIES; retries++) {
+    let nonce
+    try {
+      nonce = await pow.calcPoW(timestamp, ttl, toPubkey, data64, difficulty, { signal: options.signal })
+    } catch (e) {
+      if (e.name === 'AbortError') {
+        return { ok: false, error: SWARM_ERRORS.ABORTED, attempts: result ? result.attempts : 0, ...sent }
+      }
+      throw e
+    }
+    //console.log('nonce', nonce, 'data64', data64)
 
-  // loki_message
-  const storeParams = {
-    pubKey: toPubkey,
-    ttl: ttl.toString(),
-    nonce: nonce,
-    timestamp: timestamp.toString(),
-    data: data64
+    // loki_message
+    const storeParams = {
+      ttl: ttl.toString(),
+      nonce: nonce,
+      timestamp: timestamp.toString(),
+      data: data64
+    }
+    //console.log('storeParams', storeParams)
+    result = await lib.swarmRequest(toPubkey, 'store', storeParams, { deadline: options.deadline, snode })
+    // stored or not, snodes tell us what they want now
+    const wanted = result.body && parseInt(result.body.difficulty)
+    if (result.snode && wanted > 0) {
+      lib.setDifficulty(result.snode, wanted)
+    }
+    // 432, not enough PoW
+    if (result.ok || result.status !== 432 || !(wanted > difficulty)) break
+    if (wanted > MAX_DIFFICULTY) {
+      console.error('send::storeEnvelope -', result.snode, 'wants difficulty', wanted, 'more than we will do', MAX_DIFFICULTY)
+      break
+    }
+    console.warn('send::storeEnvelope -', result.snode, 'wants difficulty', wanted, 'redoing PoW for', toPubkey)
+    difficulty = wanted
+    // the same snode, so the PoW isn't wasted on one that wants less
+    snode = result.snode
   }
-  //console.log('storeParams', storeParams)
-  const storeData = await lib.jsonrpc(swarmUrl, 'store', storeParams)
-  // object, { difficulty: 1 }
-  if (storeData.difficulty !== 1) {
-    console.log('storeData', storeData)
-    return false
+  if (!result.ok) {
+    console.error('send::storeEnvelope - could not store for', toPubkey, result.error, result.status, result.body)
   }
-  return true
+  return { ...result, ...sent, swarmNode: result.ok ? result.snode : undefined }
 }
 
 module.exports = {
-  send
+  messageTTL,
+  send,
+  sendMany,
+  sendReceipt,
+  sendTyping,
+  sendNullMessage,
+  sendContent,
+  sendClosedGroup,
+  sendClosedGroupContent
 }
@@ -0,0 +1,253 @@
+const crypto = require('crypto')
+const libsignal = require('libsignal')
+const protobuf = require('./protobuf.js')
+
+// ratcheted (double ratchet) 1:1 sessions
+// a Session ID is the identity key, so there's nothing else to trust
+// until we have a session, messages go out as FALLBACK_MESSAGE (101)
+// with a PreKeyBundleMessage attached (a session request)
+// the other side builds a session from it and replies with a PREKEY_BUNDLE (3) envelope
+
+// we only ever use one device per Session ID
+const DEVICE_ID = 1
+
+// how often we rotate our signed prekey
+const SIGNED_PREKEY_LIFETIME = 30 * 86400 * 1000 // in ms
+
+function toHex(buf) {
+  return Buffer.from(buf).toString('hex')
+}
+
+// strip the device id off of a ProtocolAddress string
+function addressPubkey(address) {
+  return address.toString().split('.')[0]
+}
+
+function addressFor(pubkeyHex) {
+  return new libsignal.ProtocolAddress(pubkeyHex, DEVICE_ID)
+}
+
+function serializeKeyPair(keyPair) {
+  return {
+    pubKey: keyPair.pubKey.toString('hex'),
+    privKey: keyPair.privKey.toString('hex')
+  }
+}
+
+function deserializeKeyPair(json) {
+  return {
+    pubKey: Buffer.from(json.pubKey, 'hex'),
+    privKey: Buffer.from(json.privKey, 'hex')
+  }
+}
+
+// libsignal storage interface on top of one of our stores
+class SessionStorage {
+  // prefix namespaces our keys in the store
+  constructor(ourKeypair, store, prefix) {
+    this.keypair = ourKeypair
+    this.store = store
+    this.prefix = prefix
+  }
+
+  async get(name) {
+    return this.store.get(this.prefix + ':' + name)
+  }
+
+  async set(name, value) {
+    return this.store.set(this.prefix + ':' + name, value)
+  }
+
+  async getOurIdentity() {
+    return this.keypair
+  }
+
+  async getOurRegistrationId() {
+    let registrationId = await this.get('registrationId')
+    if (registrationId === undefined) {
+      registrationId = libsignal.keyhelper.generateRegistrationId()
+      await this.set('registrationId', registrationId)
+    }
+    return registrationId
+  }
+
+  async isTrustedIdentity(address, identityKey) {
+    return toHex(identityKey) === addressPubkey(address)
+  }
+
+  async loadPreKey(keyId) {
+    const preKey = await this.get('preKey:' + keyId)
+    if (preKey) {
+      return deserializeKeyPair(preKey.keyPair)
+    }
+  }
+
+  async removePreKey(keyId) {
+    const preKey = await this.get('preKey:' + keyId)
+    if (preKey) {
+      await this.store.delete(this.prefix + ':preKeyFor:' + preKey.pubkey)
+    }
+    await this.store.delete(this.prefix + ':preKey:' + keyId)
+  }
+
+  async loadSignedPreKey(keyId) {
+    const signedPreKeys = (await this.get('signedPreKeys')) || {}
+    if (signedPreKeys[keyId]) {
+      return deserializeKeyPair(signedPreKeys[keyId].keyPair)
+    }
+  }
+
+  // one key per contact, so concurrent sessions don't clobber each other
+  async loadSession(address) {
+    const json = await this.get('session:' + addressPubkey(address))
+    if (json) {
+      return libsignal.SessionRecord.deserialize(json)
+    }
+  }
+
+  async storeSession(address, record) {
+    await this.set('session:' + addressPubkey(address), record.serialize())
+  }
+
+  async removeSession(pubkeyHex) {
+    await this.store.delete(this.prefix + ':session:' + pubkeyHex)
+  }
+
+  // one prekey per contact, reused until they use it
+  async getPreKeyFor(pubkeyHex) {
+    const keyId = await this.get('preKeyFor:' + pubkeyHex)
+    const keyPair = keyId && await this.loadPreKey(keyId)
+    if (keyPair) {
+      return { keyId, keyPair }
+    }
+    // random ids, no counter to race on
+    const preKey = libsignal.keyhelper.generatePreKey(crypto.randomBytes(3).readUIntBE(0, 3))
+    await this.set('preKey:' + preKey.keyId, {
+      pubkey: pubkeyHex,
+      keyPair: serializeKeyPair(preKey.keyPair)
+    })
+    await this.set('preKeyFor:' + pubkeyHex, preKey.keyId)
+    return preKey
+  }
+
+  // current signed prekey, rotated every SIGNED_PREKEY_LIFETIME
+  // old ones are kept around so in-flight session requests still work
+  async getSignedPreKey() {
+    const signedPreKeys = (await this.get('signedPreKeys')) || {}
+    const keyIds = Object.keys(signedPreKeys).map(id => parseInt(id))
+    const lastKeyId = keyIds.length ? Math.max(...keyIds) : 0
+    const last = signedPreKeys[lastKeyId]
+    if (last && Date.now() - last.created < SIGNED_PREKEY_LIFETIME) {
+      return {
+        keyId: lastKeyId,
+        keyPair: deserializeKeyPair(last.keyPair),
+        signature: Buffer.from(last.signature, 'hex')
+      }
+    }
+    const signedPreKey = libsignal.keyhelper.generateSignedPreKey(this.keypair, lastKeyId + 1)
+    signedPreKeys[signedPreKey.keyId] = {
+      keyPair: serializeKeyPair(signedPreKey.keyPair),
+      signature: signedPreKey.signature.toString('hex'),
+      created: Date.now()
+    }
+    await this.set('signedPreKeys', signedPreKeys)
+    return signedPreKey
+  }
+}
+
+// PreKeyBundleMessage fields to send to pubkeyHex
+async function getPreKeyBundle(storage, pubkeyHex) {
+  const preKey = await storage.getPreKeyFor(pubkeyHex)
+  const signedPreKey = await storage.getSignedPreKey()
+  const rawBundle = {
+    identityKey: storage.keypair.pubKey,
+    deviceId: DEVICE_ID,
+    preKeyId: preKey.keyId,
+    signedKeyId: signedPreKey.keyId,
+    preKey: preKey.keyPair.pubKey,
+    signedKey: signedPreKey.keyPair.pubKey,
+    signature: signedPreKey.signature
+  }
+  const errMsg = protobuf.PreKeyBundleMessage.verify(rawBundle)
+  if (errMsg) console.error('rawBundle verification', errMsg)
+  return protobuf.PreKeyBundleMessage.create(rawBundle)
+}
+
+// build a session from a PreKeyBundleMessage pubkeyHex sent us
+// returns false if the bundle isn't usable
+async function processPreKeyBundle(storage, pubkeyHex, bundle) {
+  if (toHex(bundle.identityKey) !== pubkeyHex) {
+    console.warn('sessions::processPreKeyBundle - identity key does not match sender', pubkeyHex)
+    return false
+  }
+  const builder = new libsignal.SessionBuilder(storage, addressFor(pubkeyHex))
+  try {
+    await builder.initOutgoing({
+      identityKey: Buffer.from(bundle.identityKey),
+      // Session doesn't send one
+      registrationId: 0,
+      preKey: {
+        keyId: bundle.preKeyId,
+        publicKey: Buffer.from(bundle.preKey)
+      },
+      signedPreKey: {
+        keyId: bundle.signedKeyId,
+        publicKey: Buffer.from(bundle.signedKey),
+        signature: Buffer.from(bundle.signature)
+      }
+    })
+  } catch (e) {
+    console.error('sessions::processPreKeyBundle - bad bundle from', pubkeyHex, e.message)
+    return false
+  }
+  return true
+}
+
+async function hasSession(storage, pubkeyHex) {
+  const cipher = new libsignal.SessionCipher(storage, addressFor(pubkeyHex))
+  return cipher.hasOpenSession()
+}
+
+// returns { type, body } with the envelope type (1 or 3)
+// or undefined if we have no session with pubkeyHex
+async function encrypt(storage, pubkeyHex, paddedBuf) {
+  if (!await hasSession(storage, pubkeyHex)) {
+    return
+  }
+  const cipher = new libsignal.SessionCipher(storage, addressFor(pubkeyHex))
+  const result = await cipher.encrypt(Buffer.from(paddedBuf))
+  return { type: result.type, body: result.body }
+}
+
+// type is the envelope type, CIPHERTEXT (1) or PREKEY_BUNDLE (3)
+// returns the padded plaintext
+async function decrypt(storage, pubkeyHex, type, body) {
+  const cipher = new libsignal.SessionCipher(storage, addressFor(pubkeyHex))
+  if (type === 3) {
+    return cipher.decryptPreKeyWhisperMessage(Buffer.from(body))
+  }
+  return cipher.decryptWhisperMessage(Buffer.from(body))
+}
+
+// forget our session with pubkeyHex, so the next message is a session request
+async function resetSession(storage, pubkeyHex) {
+  await storage.removeSession(pubkeyHex)
+}
+
+// Content.nullMessage with random padding
+function makeNullMessage() {
+  // random int between 1 and 512
+  const paddingLength = (crypto.randomBytes(2).readUInt16BE(0) & 0x1ff) + 1
+  return { padding: crypto.randomBytes(paddingLength) }
+}
+
+module.exports = {
+  SessionStorage,
+  getPreKeyBundle,
+  processPreKeyBundle,
+  hasSession,
+  encrypt,
+  decrypt,
+  resetSession,
+  makeNullMessage
+}
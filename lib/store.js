@@ -0,0 +1,103 @@
+const fs = require('fs')
+
+/**
+ * Persistent state adapters
+ *
+ * A store is any object implementing async get(key), set(key, value) and delete(key)
+ * Values must be JSON serializable
+ * @module store
+ * @exports {object} exports.MemoryStore
+ * @exports {object} exports.FileStore
+ * @author Ryan Tharp
+ * @license ISC
+ */
+
+/**
+ * Keeps state in memory, lost on restart
+ * @class
+ */
+class MemoryStore {
+  /**
+   * @constructor
+   * @param {Object} [initial] initial key/values
+   */
+  constructor(initial = {}) {
+    this.data = { ...initial }
+  }
+
+  /**
+   * read a key
+   * @param {String} key
+   * @returns {Promise<*>} stored value or undefined
+   */
+  async get(key) {
+    return this.data[key]
+  }
+
+  /**
+   * write a key
+   * @param {String} key
+   * @param {*} value JSON serializable value
+   */
+  async set(key, value) {
+    this.data[key] = value
+  }
+
+  /**
+   * remove a key
+   * @param {String} key
+   */
+  async delete(key) {
+    delete this.data[key]
+  }
+}
+
+/**
+ * Keeps state in a JSON file on disk
+ * @class
+ */
+class FileStore extends MemoryStore {
+  /**
+   * @constructor
+   * @param {String} filePath where to persist the state
+   * @example
+   * const store = new FileStore('state.json')
+   */
+  constructor(filePath) {
+    super()
+    this.filePath = filePath
+    if (fs.existsSync(filePath)) {
+      try {
+        this.data = JSON.parse(fs.readFileSync(filePath).toString())
+      } catch (e) {
+        console.error('store::FileStore - can not parse', filePath, e)
+      }
+    }
+  }
+
+  async set(key, value) {
+    await super.set(key, value)
+    this.flush()
+  }
+
+  async delete(key) {
+    await super.delete(key)
+    this.flush()
+  }
+
+  /**
+   * write state to disk
+   * writes to a temp file and renames, so a crash doesn't leave half a file
+   * @private
+   */
+  flush() {
+    const tmpPath = this.filePath + '.tmp'
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data))
+    fs.renameSync(tmpPath, this.filePath)
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore
+}
@@ -4,12 +4,10 @@ const SessionClient = require('./session-client.js')
 
 // create an instance
 // You'll want an instance per SessionID you want to receive messages for
-const client = new SessionClient()
-
-// load place in inbox if available
-if (fs.existsSync('lastHash.txt')) {
-  client.lastHash = fs.readFileSync('lastHash.txt').toString()
-}
+const client = new SessionClient({
+  // persist place in inbox, open group cursors and tokens incase we restart
+  store: new SessionClient.FileStore('state.json')
+})
 
 // load an SessionID into client and set some options
 client.loadIdentity({
@@ -22,17 +20,12 @@ client.loadIdentity({
   // output recovery phrase if making an identity
   console.log(client.identityOutput)
 
-  // persist place in inbox incase we restart
-  client.on('updateLastHash', hash => {
-    fs.writeFileSync('lastHash.txt', hash)
-  })
-
   // const openGroupName = 'chat-dev.lokinet.org'
   const openGroupName = 'session.lokisn.com'
 
   const openGroupData = await client.joinOpenGroup(openGroupName)
 
-  console.log('openGroupData', openGroupData);
+  console.log('openGroupData', openGroupData)
 
   // handle incoming messages
   client.on('messages', msgs => {
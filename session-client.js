@@ -1,9 +1,18 @@
 const fs = require('fs')
+const crypto = require('crypto')
 const EventEmitter = require('events')
 
-const lib = require('./lib/lib.js')
+const networkUtils = require('./lib/network.js')
 const attachemntUtils = require('./lib/attachments.js')
 const openGroupUtils = require('./lib/open_groups.js')
+const storeUtils = require('./lib/store.js')
+const contactUtils = require('./lib/contact.js')
+const closedGroupUtils = require('./lib/closed_groups.js')
+const sessionUtils = require('./lib/sessions.js')
+const onionUtils = require('./lib/onion.js')
+const pollerUtils = require('./lib/poller.js')
+const dedupUtils = require('./lib/dedup.js')
+const outboxUtils = require('./lib/outbox.js')
 const keyUtil = require('./external/mnemonic/index.js')
 
 /**
@@ -13,11 +22,47 @@ const keyUtil = require('./external/mnemonic/index.js')
  */
 const FILESERVER_URL = 'https://file.getsession.org/' // path required!
 
+/**
+ * Longest a storage server holds a long-poll retrieve open, in ms
+ * @constant
+ * @default
+ */
+const LONG_POLL_HOLD = 20 * 1000
+
+/**
+ * How often to repeat a started typing indicator while still typing
+ * clients stop showing the indicator if they don't hear back within 15s
+ * @constant
+ * @default
+ */
+const TYPING_REFRESH_INTERVAL = 10 * 1000
+
+/**
+ * Least time between asking a closed group member for their sender key, in ms
+ * messages we can't decrypt are retried every poll until it arrives
+ * @constant
+ * @default
+ */
+const SENDER_KEY_REQUEST_INTERVAL = 60 * 1000
+
+/**
+ * Least time between rebuilding a session from someone's new prekey bundle, in ms
+ * @constant
+ * @default
+ */
+const SESSION_REBUILD_INTERVAL = 60 * 1000
+
 /**
  * Creates a new Session client
  * @class
- * @property {Number} pollRate How much delay between poll requests
+ * @property {Number} pollRate How much delay between poll requests while a source is active
+ * @property {Boolean} longPoll Ask snodes to hold retrieve requests until there's something new
+ * @property {object} poller Schedules polling of our inbox and every group
  * @property {Number} lastHash Poll for messages from this hash on
+ * @property {object} lastHashes lastHash of every snode we retrieve from, keyed by snode URL
+ * @property {Number} parallelRetrieve How many swarm members we retrieve from at once
+ * @property {object} dedup Recently handled messages, so we don't emit them twice
+ * @property {Boolean} manualAck Only move cursors once messages are acked
  * @property {String} displayName Send messages with this profile name
  * @property {String} homeServer HTTPS URL for this identity's file server
  * @property {String} fileServerToken Token for avatar operations
@@ -27,6 +72,14 @@ const FILESERVER_URL = 'https://file.getsession.org/' // path required!
  * @property {Boolean} open Should we continue polling for messages
  * @property {String} encAvatarUrl Encrypted avatar URL
  * @property {Buffer} profileKeyBuf Key to decrypt avatar URL
+ * @property {object} store Where state (cursors, tokens, caches) is persisted
+ * @property {Boolean} autoDeliveryReceipts Send delivery receipts for received messages
+ * @property {object} expirationTimers Disappearing message timers in seconds, keyed by conversation pubkey
+ * @property {object} closedGroups Closed groups we're in, keyed by group id
+ * @property {object} sessionStorage Ratcheted session keys, persisted in store
+ * @property {object} network Seeds, service nodes and swarm caches for this client
+ * @property {object} lib Network transport, direct or onion routed
+ * @property {object} onion Onion paths, if onionRequests is enabled
  * @implements EventEmitter
  * @module session-client
  * @exports SessionClient
@@ -38,25 +91,304 @@ class SessionClient extends EventEmitter {
   /**
    * @constructor
    * @param {object} [options] Creation client options
-   * @param {Number} [options.pollRate] How much delay between poll requests, Defaults: 1000
+   * @param {Number} [options.pollRate] How much delay between poll requests while a source (inbox or group) is active, Defaults: 3000
+   * @param {Number} [options.maxPollRate] How much delay between poll requests once a source has gone idle, Defaults: 10x pollRate
+   * @param {Number} [options.maxFailurePollRate] Most delay between poll requests while a source keeps failing, Defaults: 5 minutes
+   * @param {Boolean} [options.longPoll] Ask snodes to hold retrieve requests until there's something new, Defaults: false
+   * @param {Number} [options.parallelRetrieve] Retrieve from this many swarm members at once, so a lagging snode can't hide messages, Defaults: 1
+   * @param {Number} [options.dedupWindow] How many handled messages to remember, to drop duplicates, Defaults: 1000
+   * @param {Boolean} [options.persistDedup] Persist the dedup window, so duplicates are also dropped after a restart, Defaults: false
+   * @param {Number} [options.queueRetryRate] How long a queued message waits before its first retry, doubling after every failure, Defaults: 5 seconds
+   * @param {Number} [options.maxQueueRetryRate] Most delay between retries of a queued message, Defaults: 10 minutes
+   * @param {Boolean} [options.manualAck] Only move (and persist) cursors once messages are acked, see ack, Defaults: false
    * @param {Number} [options.lastHash] lastHash Poll for messages from this hash on Defaults: '' (Read all messages)
    * @param {Number} [options.homeServer] Which server holds your profile and attachments Defaults: https://file.getsession.org/
    * @param {Number} [options.displayName] Send messages with this profile name, Defaults: false (Don't send a name)
+   * @param {object} [options.store] Persist state with this store (async get/set/delete), Defaults: in-memory store
+   * @param {Boolean} [options.autoDeliveryReceipts] Send a delivery receipt for every message received, Defaults: false
+   * @param {object} [options.network] Share a SessionClient.Network between clients, Defaults: a new one for this client
+   * @param {Array<String>} [options.seedNodes] lokid json_rpc URLs to bootstrap the service node list from (new network only), Defaults: Loki Foundation seeds
+   * @param {Number} [options.requestTimeout] network request timeout in ms (new network only), Defaults: 30000
+   * @param {Boolean} [options.insecureNetwork] Skip snode authentication and TLS certificate validation, only for local test networks (new network only), Defaults: false
+   * @param {Number} [options.requestDeadline] how long sends and polls keep trying other swarm members in ms (new network only), Defaults: 60000
+   * @param {Boolean} [options.onionRequests] Route all requests through onion paths, so snodes and servers don't see our IP, Defaults: false
+   * @param {object} [options.onionServerPubkeys] x25519 pubkeys (hex) of file/open group servers by host, required to reach them with onionRequests
    * @example
-   * const sessionClient = new SessionClient()
+   * const sessionClient = new SessionClient({
+   *   store: new SessionClient.FileStore('state.json')
+   * })
    */
   constructor(options = {}) {
     super()
     this.pollRate = options.pollRate || 3000
+    this.longPoll = !!options.longPoll
+    this.poller = new pollerUtils.Poller({
+      minInterval: this.pollRate,
+      maxInterval: options.maxPollRate,
+      maxFailureInterval: options.maxFailurePollRate
+    })
+    this.poller.on('failure', failure => {
+      /**
+       * poll failure
+       * @callback pollFailureCallback
+       * @param {object} failure
+       * @param {String} failure.source inbox, openGroup:id or closedGroup:id
+       * @param {Error} failure.error what went wrong
+       * @param {Number} failure.failures how many times in a row this source has failed
+       * @param {Number} failure.retryIn ms until we try this source again
+       */
+      /**
+       * Polling a source failed, it'll be retried with exponential backoff
+       * @event SessionClient#pollFailure
+       * @type pollFailureCallback
+       */
+      this.emit('pollFailure', {
+        source: failure.name,
+        error: failure.error,
+        failures: failure.failures,
+        retryIn: failure.delay
+      })
+      this.emitError(failure.error)
+    })
+    this.poller.on('recovered', recovery => {
+      /**
+       * poll recovery
+       * @callback pollRecoveredCallback
+       * @param {object} recovery
+       * @param {String} recovery.source inbox, openGroup:id or closedGroup:id
+       * @param {Number} recovery.failures how many times in a row it failed before
+       */
+      /**
+       * Polling a source works again after failing
+       * @event SessionClient#pollRecovered
+       * @type pollRecoveredCallback
+       */
+      this.emit('pollRecovered', { source: recovery.name, failures: recovery.failures })
+    })
     this.lastHash = options.lastHash || ''
+    this.lastHashes = {}
+    this.parallelRetrieve = options.parallelRetrieve || 1
+    this.dedup = new dedupUtils.Deduplicator(options.dedupWindow)
+    this.persistDedup = !!options.persistDedup
+    this.manualAck = !!options.manualAck
+    // source => batches of received messages waiting to move its cursor, oldest first
+    this.pendingBatches = {}
+    // source => promise of the last cursor commit, so they happen in order
+    this.batchCommits = {}
+    this.outbox = new outboxUtils.Outbox({
+      send: item => this.send(item.destination, item.body, { ...item.options, timestamp: item.timestamp }),
+      save: items => this.saveState('outbox', items),
+      minRetry: options.queueRetryRate,
+      maxRetry: options.maxQueueRetryRate
+    })
+    this.outbox.on('sent', sent => {
+      /**
+       * queued message delivery
+       * @callback sentCallback
+       * @param {object} sent
+       * @param {String} sent.id what sendQueued returned
+       * @param {String} sent.destination pubkey it was sent to
+       * @param {Number} sent.timestamp message timestamp
+       * @param {Number} sent.attempts how many tries it took
+       * @param {object} sent.result send result, see send
+       */
+      /**
+       * A queued message was stored by a snode
+       * @event SessionClient#sent
+       * @type sentCallback
+       */
+      this.emit('sent', {
+        id: sent.id,
+        destination: sent.item.destination,
+        timestamp: sent.item.timestamp,
+        attempts: sent.item.attempts,
+        result: sent.result
+      })
+    })
+    this.outbox.on('failed', failed => {
+      /**
+       * queued message failure
+       * @callback sendFailedCallback
+       * @param {object} failed
+       * @param {String} failed.id what sendQueued returned
+       * @param {String} failed.destination pubkey it was for
+       * @param {Number} failed.timestamp message timestamp
+       * @param {Number} failed.attempts how many times we tried
+       * @param {String} failed.error last error, one of SessionClient.SWARM_ERRORS or expired
+       * @param {object} failed.result last send result, see send
+       */
+      /**
+       * A queued message expired before any snode stored it
+       * @event SessionClient#sendFailed
+       * @type sendFailedCallback
+       */
+      this.emit('sendFailed', {
+        id: failed.id,
+        destination: failed.item.destination,
+        timestamp: failed.item.timestamp,
+        attempts: failed.item.attempts,
+        error: failed.item.lastError || failed.result.error,
+        result: failed.result
+      })
+    })
     this.homeServer = options.homeServer || FILESERVER_URL
     this.fileServerToken = options.fileServerToken || ''
     this.displayName = options.displayName || false
     this.openGroupServers = {}
     this.pollServer = false
+    this.watchdogTimer = null
     this.groupInviteTextTemplate = '{pubKey} has invited you to join {name} at {url}'
     this.groupInviteNonC1TextTemplate = ' You may not be able to join this channel if you are using a mobile session client'
     this.lastPoll = 0
+    this.store = options.store || new storeUtils.MemoryStore()
+    this.autoDeliveryReceipts = !!options.autoDeliveryReceipts
+    this.expirationTimers = {}
+    // pubkey => { bundle, at } the last prekey bundle we built a session from
+    this.sessionBundles = {}
+    this.closedGroups = {}
+    this.network = options.network || new networkUtils.Network({
+      seedNodes: options.seedNodes,
+      timeout: options.requestTimeout,
+      deadline: options.requestDeadline,
+      insecure: options.insecureNetwork
+    })
+    if (options.onionRequests) {
+      this.onion = new onionUtils.OnionRequests(this.network, {
+        serverPubkeys: options.onionServerPubkeys
+      })
+      this.lib = this.onion.getLib()
+    } else {
+      this.lib = this.network
+    }
+    this.network.on('swarmChanged', change => {
+      /**
+       * swarm membership change
+       * @callback swarmChangedCallback
+       * @param {object} change
+       * @param {String} change.pubkey whose swarm changed (every pubkey the network looks up, if it's shared)
+       * @param {Array} change.snodes new members {ip, port, pubkey_x25519, pubkey_ed25519}
+       * @param {Array} change.previous old members, empty on the first lookup
+       * @param {String} change.reason lookup or reorg
+       */
+      /**
+       * A swarm was looked up or moved
+       * @event SessionClient#swarmChanged
+       * @type swarmChangedCallback
+       */
+      this.emit('swarmChanged', change)
+    })
+  }
+
+  /**
+   * emit an error, if someone is listening
+   * an error event without a listener would throw
+   * @private
+   * @param {Error} error
+   * @fires SessionClient#error
+   */
+  emitError(error) {
+    if (!this.listenerCount('error')) return
+    /**
+     * Something went wrong in the background, like polling, it's also logged
+     * @event SessionClient#error
+     * @type {Error}
+     */
+    this.emit('error', error)
+  }
+
+  /**
+   * build a store key namespaced to this identity
+   * so multiple identities can share one store
+   * @private
+   * @param {String} name state name
+   * @returns {String} store key
+   */
+  storeKey(name) {
+    return this.ourPubkeyHex + ':' + name
+  }
+
+  /**
+   * read persisted state for this identity
+   * @private
+   * @param {String} name state name
+   * @returns {Promise<*>} stored value or undefined
+   */
+  async loadState(name) {
+    try {
+      return await this.store.get(this.storeKey(name))
+    } catch (e) {
+      console.error('SessionClient::loadState - store failure', name, e)
+    }
+  }
+
+  /**
+   * persist state for this identity
+   * @private
+   * @param {String} name state name
+   * @param {*} value JSON serializable value
+   */
+  async saveState(name, value) {
+    try {
+      await this.store.set(this.storeKey(name), value)
+    } catch (e) {
+      console.error('SessionClient::saveState - store failure', name, e)
+    }
+  }
+
+  /**
+   * restore cursors, tokens and caches from the store
+   * @private
+   */
+  async restoreState() {
+    if (!this.lastHash) {
+      this.lastHash = (await this.loadState('lastHash')) || ''
+    }
+    this.lastHashes = (await this.loadState('lastHashes')) || {}
+    if (this.persistDedup) {
+      this.dedup.load(await this.loadState('dedup'))
+    }
+    if (!this.fileServerToken) {
+      this.fileServerToken = (await this.loadState('fileServerToken')) || ''
+    }
+    const swarm = await this.loadState('swarm')
+    if (swarm && !this.lib.getSwarm(this.ourPubkeyHex)) {
+      this.lib.setSwarm(this.ourPubkeyHex, swarm)
+    }
+    this.swarmUpdatedAt = swarm && swarm.updated_at
+    const serviceNodes = await this.loadState('serviceNodes')
+    if (serviceNodes && !this.lib.getServiceNodeList()) {
+      this.lib.setServiceNodeList(serviceNodes)
+    }
+    this.serviceNodesUpdatedAt = serviceNodes && serviceNodes.updated_at
+    this.expirationTimers = (await this.loadState('expirationTimers')) || {}
+    const closedGroups = (await this.loadState('closedGroups')) || {}
+    Object.keys(closedGroups).forEach(id => {
+      this.closedGroups[id] = new closedGroupUtils.SessionClosedGroup(closedGroups[id])
+    })
+    this.outbox.load(await this.loadState('outbox'))
+    const avatarState = await this.loadState('avatar')
+    if (avatarState) {
+      this.encAvatarUrl = avatarState.url
+      this.profileKeyBuf = Buffer.from(avatarState.profileKey64, 'base64')
+      this.avatarHash = avatarState.hash
+    }
+  }
+
+  /**
+   * persist our swarm and the service node list, if they have been updated since last time
+   * @private
+   */
+  async persistSwarm() {
+    const swarm = this.lib.getSwarm(this.ourPubkeyHex)
+    if (swarm && swarm.updated_at !== this.swarmUpdatedAt) {
+      this.swarmUpdatedAt = swarm.updated_at
+      await this.saveState('swarm', swarm)
+    }
+    const serviceNodes = this.lib.getServiceNodeList()
+    if (serviceNodes && serviceNodes.updated_at !== this.serviceNodesUpdatedAt) {
+      this.serviceNodesUpdatedAt = serviceNodes.updated_at
+      await this.saveState('serviceNodes', serviceNodes)
+    }
   }
 
   // maybe a setName option
@@ -100,32 +432,41 @@ class SessionClient extends EventEmitter {
     // process keypair
     this.keypair = options.keypair
     this.ourPubkeyHex = options.keypair.pubKey.toString('hex')
+    this.sessionStorage = new sessionUtils.SessionStorage(this.keypair, this.store, this.storeKey('signal'))
     // we need ourPubkeyHex set
+    await this.restoreState()
+    if (options.avatarFile && this.onion && !this.onion.hasServerKey(FILESERVER_URL)) {
+      console.error('SessionClient::loadIdentity - no onionServerPubkeys entry for', FILESERVER_URL, 'can not sync avatar')
+    } else
     if (options.avatarFile) {
       if (fs.existsSync(options.avatarFile)) {
-        let avatarOk = false
         const avatarDisk = fs.readFileSync(options.avatarFile)
-        // is this image uploaded to the server?
-        const avatarRes = await attachemntUtils.getAvatar(FILESERVER_URL,
-          this.ourPubkeyHex
-        )
-        if (!avatarRes) {
-          console.warn('SessionClient::loadIdentity - getAvatar failure', avatarRes)
-        } else {
-          this.encAvatarUrl = avatarRes.url
-          this.profileKeyBuf = Buffer.from(avatarRes.profileKey64, 'base64')
-          const netData = await attachemntUtils.downloadEncryptedAvatar(
-            this.encAvatarUrl, this.profileKeyBuf
+        // did we already upload this exact image? (restored from store)
+        let avatarOk = this.avatarHash === crypto.createHash('sha256').update(avatarDisk).digest('hex')
+        if (!avatarOk) {
+          // is this image uploaded to the server?
+          const avatarRes = await attachemntUtils.getAvatar(FILESERVER_URL,
+            this.ourPubkeyHex, this.lib
           )
-          if (!netData) {
-            console.warn('SessionClient::loadIdentity - downloadEncryptedAvatar failure', netData)
+          if (!avatarRes) {
+            console.warn('SessionClient::loadIdentity - getAvatar failure', avatarRes)
           } else {
-            if (avatarDisk.byteLength !== netData.byteLength ||
-              Buffer.compare(avatarDisk, netData) !== 0) {
-              console.log('SessionClient::loadIdentity - detected avatar change, replacing')
-              await this.changeAvatar(avatarDisk)
+            this.encAvatarUrl = avatarRes.url
+            this.profileKeyBuf = Buffer.from(avatarRes.profileKey64, 'base64')
+            const netData = await attachemntUtils.downloadEncryptedAvatar(
+              this.encAvatarUrl, this.profileKeyBuf, this.lib
+            )
+            if (!netData) {
+              console.warn('SessionClient::loadIdentity - downloadEncryptedAvatar failure', netData)
             } else {
-              avatarOk = true
+              if (avatarDisk.byteLength !== netData.byteLength ||
+                Buffer.compare(avatarDisk, netData) !== 0) {
+                console.log('SessionClient::loadIdentity - detected avatar change, replacing')
+                await this.changeAvatar(avatarDisk)
+              } else {
+                avatarOk = true
+                await this.saveAvatarState(avatarDisk)
+              }
             }
           }
         }
@@ -137,6 +478,8 @@ class SessionClient extends EventEmitter {
         console.error('SessionClient::loadIdentity - avatarFile', options.avatarFile, 'is not found')
       }
     }
+    // resume anything queued before a restart
+    this.outbox.start()
   }
 
   /**
@@ -163,174 +506,625 @@ class SessionClient extends EventEmitter {
     // start polling our box
     //console.log('start poll', this.ourPubkeyHex)
     await this.poll()
+    // then every source on its own schedule
+    this.updatePollSources()
+    this.poller.start()
+    // close() stops it too
+    this.outbox.start()
     //console.log('start watchdog', this.ourPubkeyHex)
     this.watchdog() // backup for production use
   }
 
+  /**
+   * make sure the poller has our inbox and every group we're in
+   * @private
+   */
+  updatePollSources() {
+    const sources = {
+      inbox: run => this.pollInbox(this.longPoll, run)
+    }
+    Object.keys(this.openGroupServers).forEach(id => {
+      sources['openGroup:' + id] = run => this.pollOpenGroup(id, run)
+    })
+    Object.keys(this.closedGroups).forEach(id => {
+      sources['closedGroup:' + id] = run => this.pollClosedGroup(id, this.longPoll, run)
+    })
+    this.poller.names()
+      .filter(name => !sources[name])
+      .forEach(name => this.poller.remove(name))
+    Object.keys(sources).forEach(name => {
+      // open group servers don't long-poll
+      this.poller.add(name, sources[name], { longPoll: this.longPoll && !name.startsWith('openGroup:') })
+    })
+  }
+
   /**
    * watch poller, and make sure it's running if it should be running
    * @private
    */
   async watchdog() {
+    // only ever one loop, even if open() is called again
+    clearTimeout(this.watchdogTimer)
+    this.watchdogTimer = null
     // if closed
     if (!this.pollServer) {
       return // don't reschedule
     }
-    // make sure we've polled successfully at least once
-    if (this.lastPoll) {
-      const ago = Date.now() - this.lastPoll
-      // if you missed 10 polls in a roll
-      if (ago > this.pollRate * 10 * 5) {
-        this.lastPoll = Date.now() // prevent amplification
-        console.warn('SessionClient::watchdog - polling failure, restarting poller', ago, this.pollRate)
-        //this.poll()
-      }
+    if (!this.poller.running) {
+      console.warn('SessionClient::watchdog - poller stopped, restarting it')
+      this.poller.start()
     }
+    // if a source missed 5 idle polls in a row, its request hung or its timer got lost
+    // but never before a retrieve could have legitimately finished
+    // restarting abandons the old run, so we never end up with two loops
+    const threshold = Math.max(this.poller.maxInterval * 5, this.network.deadline + LONG_POLL_HOLD)
+    this.poller.stalled(threshold).forEach(name => {
+      console.warn('SessionClient::watchdog - polling', name, 'stalled, restarting it')
+      this.poller.restart(name)
+    })
     // schedule us again
-    setTimeout(() => {
+    this.watchdogTimer = setTimeout(() => {
       this.watchdog()
     }, this.pollRate)
   }
 
   /**
-   * poll storage server for messages and emit events
+   * poll our inbox and every group once and emit events
+   * open() does this for you, each source on its own schedule
+   * a source that fails is logged and emitted as error, it doesn't stop the others
    * @public
    * @fires SessionClient#updateLastHash
    * @fires SessionClient#preKeyBundle
    * @fires SessionClient#receiptMessage
+   * @fires SessionClient#receipt
+   * @fires SessionClient#typing
+   * @fires SessionClient#expirationTimerUpdate
+   * @fires SessionClient#closedGroupUpdate
    * @fires SessionClient#nullMessage
    * @fires SessionClient#messages
+   * @fires SessionClient#error
    */
   async poll() {
     // if closed
     if (!this.pollServer) {
       if (this.debugTimer) console.log('closed...')
-      return // don't reschedule
+      return
     }
+    const isolate = (source, promise) => promise.catch(e => {
+      console.error('SessionClient::poll - polling', source, 'err', e)
+      this.emitError(e)
+    })
+    await Promise.all([
+      isolate('inbox', this.pollInbox()),
+      ...Object.keys(this.openGroupServers).map(id => isolate('openGroup:' + id, this.pollOpenGroup(id))),
+      ...Object.keys(this.closedGroups).map(id => isolate('closedGroup:' + id, this.pollClosedGroup(id)))
+    ])
+  }
+
+  /**
+   * turn a failed swarm result into an error, so the poller backs off
+   * @private
+   * @param {String} what what we were polling
+   * @param {object} result failed swarmRequest result
+   * @returns {Error} with the result attached
+   */
+  swarmError(what, result) {
+    const error = new Error('Could not retrieve ' + what + ': ' + result.error)
+    error.result = result
+    return error
+  }
+
+  /**
+   * poll our inbox and emit events
+   * @private
+   * @param {Boolean} [longPoll] let the snode hold the request until there's something new
+   * @param {object} [run] from the poller, see startBatch
+   * @fires SessionClient#updateLastHash
+   * @fires SessionClient#preKeyBundle
+   * @fires SessionClient#receiptMessage
+   * @fires SessionClient#receipt
+   * @fires SessionClient#typing
+   * @fires SessionClient#expirationTimerUpdate
+   * @fires SessionClient#closedGroupUpdate
+   * @fires SessionClient#nullMessage
+   * @fires SessionClient#messages
+   * @returns {Promise<Number>} how many messages we got, rejects if the swarm could not be reached
+   */
+  async pollInbox(longPoll = false, run) {
     if (this.debugTimer) console.log('polling...', this.ourPubkeyHex)
-    const dmResult = await this.recvLib.checkBox(
-      this.ourPubkeyHex, this.keypair, this.lastHash, lib, this.debugTimer
-    )
-    const groupResults = (await Promise.all(Object.keys(this.openGroupServers).map(async (openGroup) => {
-      //console.log('poll - polling open group', openGroup, this.openGroupServers[openGroup])
-      //console.log('poll - open group token', this.openGroupServers[openGroup].token)
-      const groupMessages = await this.openGroupServers[openGroup].getMessages()
-      if (groupMessages && groupMessages.length > 0) {
-        return { openGroup, groupMessages }
+    const batch = this.startBatch('inbox', run, async () => {
+      if (dmResult.lastHash !== this.lastHash) {
+        /**
+         * Handle when the cursor in the pubkey's inbox moves
+         * @callback updateLastHashCallback
+         * @param {String} hash The last hash returns from the storage server for this pubkey
+         */
+        /**
+         * Exposes the last hash, so you can persist between reloads where you left off
+         * and not process commands twice
+         * @event SessionClient#updateLastHash
+         * @type updateLastHashCallback
+         */
+        this.emit('updateLastHash', dmResult.lastHash)
+        this.lastHash = dmResult.lastHash
+        await this.saveState('lastHash', this.lastHash)
       }
-      return undefined
-    }))).filter((m) => !!m)
-
+      if (JSON.stringify(dmResult.lastHashes) !== JSON.stringify(this.lastHashes)) {
+        this.lastHashes = dmResult.lastHashes
+        await this.saveState('lastHashes', this.lastHashes)
+      }
+    })
+    const dmResult = await this.recvLib.checkSwarm(
+      this.ourPubkeyHex, this.keypair, { lastHash: this.lastHash, lastHashes: this.lastHashes }, this.lib, this.debugTimer,
+      { sessionStorage: this.sessionStorage, longPoll, count: this.parallelRetrieve, seen: this.seenFor(batch, 'hash') }
+    )
     if (this.debugTimer) console.log('polled...', this.ourPubkeyHex)
-    if (dmResult || groupResults.length > 0) {
-      const messages = []
-      if (dmResult) {
-        if (dmResult.lastHash !== this.lastHash) {
-          /**
-           * Handle when the cursor in the pubkey's inbox moves
-           * @callback updateLastHashCallback
-           * @param {String} hash The last hash returns from the storage server for this pubkey
-           */
-          /**
-           * Exposes the last hash, so you can persist between reloads where you left off
-           * and not process commands twice
-           * @event SessionClient#updateLastHash
-           * @type updateLastHashCallback
-           */
-          this.emit('updateLastHash', dmResult.lastHash)
-          this.lastHash = dmResult.lastHash
+    await this.persistSwarm()
+    const messages = []
+    // the same message stored again (a retried send) has a new hash
+    const received = dmResult.ok
+      ? this.dedupMessages(batch, 'envelope', dmResult.messages, msg => msg.source + ':' + msg.timestamp)
+      : []
+    if (dmResult.ok) {
+      if (received.length) {
+        // in order, a reset has to happen before the next session request
+        for (const msg of received) {
+          await this.handleSessionRequest(msg)
+          await this.syncExpirationTimer(msg)
+          if (msg.dataMessage && msg.dataMessage.mediumGroupUpdate) {
+            // before the cursor moves, so a restart can't skip it
+            await this.handleClosedGroupUpdate(msg.source, msg.dataMessage.mediumGroupUpdate)
+          }
         }
-        if (dmResult.messages.length) {
-          // emit them...
-
-          dmResult.messages.forEach(msg => {
-            //console.log('poll -', msg)
-            // separate out simple messages to make it easier
-            if (msg.dataMessage && (msg.dataMessage.body || msg.dataMessage.attachments)) {
-              // maybe there will be something here...
-              //console.log('pool dataMessage', msg)
-              // skip session resets
-              // desktop: msg.dataMessage.body === 'TERMINATE' &&
-              if (!(msg.flags === 1)) { // END_SESSION
-                // escalate source
-                messages.push({ ...msg.dataMessage, source: msg.source })
-              }
-            } else
-            if (msg.preKeyBundleMessage) {
-              /**
-                 * content protobuf
-                 * @callback messageCallback
-                 * @param {object} content Content protobuf
-                 */
-              /**
-                 * Received pre-key bundle message
-                 * @event SessionClient#preKeyBundle
+        // emit them...
+
+        received.forEach(msg => {
+          //console.log('poll -', msg)
+          // separate out simple messages to make it easier
+          if (msg.dataMessage && msg.dataMessage.mediumGroupUpdate) {
+            // handled above
+          } else
+          if (msg.dataMessage && (msg.dataMessage.body || msg.dataMessage.attachments)) {
+            // maybe there will be something here...
+            //console.log('pool dataMessage', msg)
+            // skip session resets
+            // desktop: msg.dataMessage.body === 'TERMINATE' &&
+            // EXPIRATION_TIMER_UPDATE is handled by syncExpirationTimer
+            if (!(msg.dataMessage.flags & 2) && !(msg.dataMessage.flags & 1)) { // END_SESSION
+              messages.push(this.normalizeDataMessage(msg))
+            }
+          } else
+          if (msg.preKeyBundleMessage) {
+            /**
+               * content protobuf
+               * @callback messageCallback
+               * @param {object} content Content protobuf with source, envelopeType and (envelope) timestamp
+               */
+            /**
+               * Received pre-key bundle message
+               * @event SessionClient#preKeyBundle
+               * @type messageCallback
+               */
+            this.emit('preKeyBundle', msg)
+          } else
+          if (msg.receiptMessage) {
+            /**
+                 * Read Receipt message
+                 * @event SessionClient#receiptMessage
                  * @type messageCallback
                  */
-              this.emit('preKeyBundle', msg)
-            } else
-            if (msg.receiptMessage) {
-              /**
-                   * Read Receipt message
-                   * @event SessionClient#receiptMessage
+            this.emit('receiptMessage', msg)
+            /**
+             * decoded receipt
+             * @callback receiptCallback
+             * @param {object} receipt
+             * @param {String} receipt.type delivery or read
+             * @param {String} receipt.source pubkey of who sent the receipt
+             * @param {Array<Number>} receipt.timestamps timestamps of the messages being acknowledged
+             */
+            /**
+             * Delivery or read receipt for messages we sent
+             * @event SessionClient#receipt
+             * @type receiptCallback
+             */
+            this.emit('receipt', {
+              type: msg.receiptMessage.type === 1 ? 'read' : 'delivery',
+              source: msg.source,
+              timestamps: msg.receiptMessage.timestamp.map(ts => Number(ts))
+            })
+          } else
+          if (msg.typingMessage) {
+            /**
+             * decoded typing indicator
+             * @callback typingCallback
+             * @param {object} typing
+             * @param {String} typing.action started or stopped
+             * @param {String} typing.source pubkey of who is typing
+             * @param {Number} typing.timestamp when they started or stopped
+             */
+            /**
+             * Someone started or stopped typing to us
+             * @event SessionClient#typing
+             * @type typingCallback
+             */
+            this.emit('typing', {
+              action: msg.typingMessage.action === 1 ? 'stopped' : 'started',
+              source: msg.source,
+              timestamp: Number(msg.typingMessage.timestamp)
+            })
+          } else
+          if (msg.nullMessage) {
+            /**
+                   * session established message
+                   * @event SessionClient#nullMessage
                    * @type messageCallback
                    */
-              this.emit('receiptMessage', msg)
-            } else
-            if (msg.nullMessage) {
-              /**
-                     * session established message
-                     * @event SessionClient#nullMessage
-                     * @type messageCallback
-                     */
-              this.emit('nullMessage', msg)
-            } else {
-              console.log('poll - unhandled message', msg)
-            }
-          })
+            this.emit('nullMessage', msg)
+          } else {
+            console.log('poll - unhandled message', msg)
+          }
+        })
+        if (this.autoDeliveryReceipts) {
+          this.sendDeliveryReceipts(received)
         }
+      }
+    }
+
+    this.emitMessages(messages, batch)
+    if (!dmResult.ok) throw this.swarmError('our inbox', dmResult)
+    await this.finishBatch(batch)
+    this.lastPoll = Date.now()
+    return received.length
+  }
+
+  /**
+   * poll an open group and emit its messages
+   * @private
+   * @param {String} id open group id, see joinOpenGroup
+   * @param {object} [run] from the poller, see startBatch
+   * @fires SessionClient#messages
+   * @returns {Promise<Number>} how many messages we got
+   */
+  async pollOpenGroup(id, run) {
+    const channel = this.openGroupServers[id]
+    if (!channel) return 0
+    const lastId = channel.lastId
+    const groupMessages = await channel.getMessages()
+    if (!groupMessages || !groupMessages.length) return 0
+    // getMessages moves lastId, hold it back until they're handled
+    const newLastId = channel.lastId
+    channel.lastId = lastId
+    const batch = this.startBatch('openGroup:' + id, run, async () => {
+      channel.lastId = newLastId
+      await this.saveOpenGroupState(id)
+    })
+    const messages = []
+    this.dedupMessages(batch, 'openGroup:' + id, groupMessages, message => message.id).forEach(message => {
+      // Exclude our own messages
+      if (message.user.username !== this.ourPubkeyHex) {
+        messages.push({
+          id: message.id,
+          openGroup: id,
+          body: message.text,
+          profile: {
+            id: message.user.id,
+            displayName: message.user.name,
+            avatar: message.user.avatar_image.url,
+          },
+          source: message.user.username,
+        })
+      }
+    })
+    this.emitMessages(messages, batch)
+    await this.finishBatch(batch)
+    return messages.length
+  }
+
+  /**
+   * start a batch of messages received from one source
+   * @private
+   * @param {String} source poller source name, see updatePollSources
+   * @param {object} [run] from the poller, run.abandoned() is true once the watchdog restarted the source
+   * an abandoned run's cursor is older than its replacement's, so it's never committed
+   * @param {Function} commit async function that moves (and persists) the source's cursor
+   * @returns {object} batch for seenFor, dedupMessages, emitMessages and finishBatch
+   */
+  startBatch(source, run, commit) {
+    return {
+      source,
+      commit,
+      abandoned: run ? run.abandoned : () => false,
+      // dedup keys to confirm
+      keys: [],
+      // messages still to be acked
+      remaining: 0
+    }
+  }
+
+  /**
+   * dedup set of one type, that remembers what batch added
+   * @private
+   * @param {object} batch see startBatch
+   * @param {String} type hash, envelope or openGroup:id
+   * @returns {object} {has, add}
+   */
+  seenFor(batch, type) {
+    return {
+      has: id => this.dedup.has(type, id),
+      add: id => batch.keys.push(this.dedup.add(type, id))
+    }
+  }
+
+  /**
+   * drop messages we've already handled
+   * @private
+   * @param {object} batch see startBatch
+   * @param {String} type hash, envelope or openGroup:id
+   * @param {Array} messages received messages
+   * @param {Function} idOf message => unique id within type
+   * @returns {Array} messages we haven't seen before
+   */
+  dedupMessages(batch, type, messages, idOf) {
+    const seen = this.seenFor(batch, type)
+    return messages.filter(msg => {
+      const id = idOf(msg)
+      if (seen.has(id)) return false
+      seen.add(id)
+      return true
+    })
+  }
+
+  /**
+   * queue a batch, its cursor moves once it and every batch before it is acked
+   * @private
+   * @param {object} batch see startBatch
+   */
+  async finishBatch(batch) {
+    if (batch.abandoned()) return
+    if (!this.pendingBatches[batch.source]) this.pendingBatches[batch.source] = []
+    this.pendingBatches[batch.source].push(batch)
+    await this.commitBatches(batch.source)
+  }
 
-        if (groupResults.length) {
-          groupResults.forEach(group => group.groupMessages.forEach(message => {
-            // Exclude our own messages
-            if (message.user.username !== this.ourPubkeyHex) {
-              messages.push({
-                id: message.id,
-                openGroup: group.openGroup,
-                body: message.text,
-                profile: {
-                  id: message.user.id,
-                  displayName: message.user.name,
-                  avatar: message.user.avatar_image.url,
-                },
-                source: message.user.username,
-              })
+  /**
+   * move a source's cursor past every fully acked batch, in order
+   * @private
+   * @param {String} source poller source name
+   */
+  async commitBatches(source) {
+    const previous = this.batchCommits[source] || Promise.resolve()
+    this.batchCommits[source] = previous.then(async () => {
+      const queue = this.pendingBatches[source] || []
+      let committed = false
+      while (queue.length && (!queue[0].remaining || queue[0].abandoned())) {
+        const batch = queue.shift()
+        if (batch.abandoned()) continue
+        this.dedup.confirm(batch.keys)
+        await batch.commit()
+        committed = committed || batch.keys.length > 0
+      }
+      if (committed && this.persistDedup) {
+        await this.saveState('dedup', this.dedup.toJSON())
+      }
+    }).catch(e => {
+      console.error('SessionClient::commitBatches - err', source, e)
+    })
+    return this.batchCommits[source]
+  }
+
+  /**
+   * Confirm messages have been handled, when using manualAck
+   * a source's cursor (like lastHash) only moves, and is persisted, once everything before it is acked
+   * so anything that wasn't acked is received again after a restart
+   * @public
+   * @param {Object|Array} messages message(s) from the messages event
+   * @returns {Promise} resolves once the cursor has been persisted
+   * @example
+   * const sessionClient = new SessionClient({ manualAck: true })
+   * sessionClient.on('messages', async messages => {
+   *   for (const msg of messages) {
+   *     await handle(msg)
+   *     await sessionClient.ack(msg)
+   *   }
+   * })
+   */
+  async ack(messages) {
+    await Promise.all([].concat(messages).map(msg => msg.ack && msg.ack()))
+  }
+
+  /**
+   * emit messages, if there are any
+   * @private
+   * @param {Array} messages normalized messages
+   * @param {object} [batch] see startBatch, messages need acking before its cursor moves with manualAck
+   * @fires SessionClient#messages
+   */
+  emitMessages(messages, batch) {
+    if (batch && this.manualAck) {
+      messages.forEach(msg => {
+        batch.remaining++
+        let acked = false
+        // not enumerable, so it doesn't show up when messages are logged or serialized
+        Object.defineProperty(msg, 'ack', {
+          value: () => {
+            if (!acked) {
+              acked = true
+              batch.remaining--
             }
-          }))
-        }
+            return this.commitBatches(batch.source)
+          }
+        })
+      })
+    }
+    if (messages.length) {
+      /**
+       * content dataMessage protobuf
+       * @callback messagesCallback
+       * @param {Array} messages an array of Content protobuf
+       */
+      /**
+       * Messages usually with content
+       * @module session-client
+       * @event SessionClient#messages
+       * @type messagesCallback
+       */
+      this.emit('messages', messages)
+    }
+  }
 
-        if (messages.length) {
-          /**
-           * content dataMessage protobuf
-           * @callback messagesCallback
-           * @param {Array} messages an array of Content protobuf
-           */
-          /**
-           * Messages usually with content
-           * @module session-client
-           * @event SessionClient#messages
-           * @type messagesCallback
-           */
-          this.emit('messages', messages)
-        }
+  /**
+   * flatten a received Content's dataMessage for the messages event
+   * @private
+   * @param {object} msg decoded Content protobuf with source
+   * @returns {object} dataMessage with source and normalized sub-structures
+   */
+  normalizeDataMessage(msg) {
+    const dataMessage = msg.dataMessage
+    // escalate source
+    const message = { ...dataMessage, source: msg.source }
+    // uint64, a Long when decoded
+    const timestamp = dataMessage.timestamp
+    message.timestamp = timestamp && timestamp.toNumber ? timestamp.toNumber() : Number(timestamp || 0)
+    message.previews = dataMessage.preview.map(preview => ({
+      url: preview.url,
+      title: preview.title,
+      image: preview.image || undefined
+    }))
+    message.contacts = dataMessage.contact.map(contactUtils.fromContactProto)
+    if (dataMessage.quote) {
+      message.quote = {
+        id: Number(dataMessage.quote.id),
+        author: dataMessage.quote.author,
+        text: dataMessage.quote.text,
+        attachments: dataMessage.quote.attachments.map(attachment => ({
+          contentType: attachment.contentType,
+          fileName: attachment.fileName,
+          thumbnail: attachment.thumbnail || undefined
+        }))
       }
     }
-    this.lastPoll = Date.now()
-    if (this.debugTimer) console.log('scheduled...')
-    setTimeout(() => {
-      if (this.debugTimer) console.log('firing...')
-      this.poll()
-    }, this.pollRate)
+    return message
+  }
+
+  /**
+   * honor a disappearing messages timer change from a peer
+   * @private
+   * @param {String} source pubkey of the conversation
+   * @param {Number} expireTimer seconds, 0 to disable
+   * @fires SessionClient#expirationTimerUpdate
+   */
+  async updateExpirationTimer(source, expireTimer) {
+    if (expireTimer) {
+      this.expirationTimers[source] = expireTimer
+    } else {
+      delete this.expirationTimers[source]
+    }
+    /**
+     * Handle when a conversation's disappearing messages timer changes
+     * @callback expirationTimerUpdateCallback
+     * @param {object} update
+     * @param {String} update.source pubkey of the conversation
+     * @param {Number} update.expireTimer seconds until messages disappear, 0 if disabled
+     */
+    /**
+     * A peer changed the disappearing messages timer
+     * @event SessionClient#expirationTimerUpdate
+     * @type expirationTimerUpdateCallback
+     */
+    this.emit('expirationTimerUpdate', { source, expireTimer })
+    await this.saveState('expirationTimers', this.expirationTimers)
+  }
+
+  /**
+   * follow a peer's disappearing messages timer
+   * every data message carries it, not just EXPIRATION_TIMER_UPDATE
+   * @private
+   * @param {object} msg decoded Content protobuf
+   * @fires SessionClient#expirationTimerUpdate
+   */
+  async syncExpirationTimer(msg) {
+    const dataMessage = msg.dataMessage
+    // group messages carry the group's timer, not the conversation's
+    if (!dataMessage || dataMessage.group || dataMessage.mediumGroupUpdate) return
+    // END_SESSION
+    if (dataMessage.flags & 1) return
+    const isUpdate = dataMessage.flags & 2 // EXPIRATION_TIMER_UPDATE
+    if (!isUpdate && !dataMessage.body && !(dataMessage.attachments && dataMessage.attachments.length)) return
+    const expireTimer = dataMessage.expireTimer || 0
+    if (isUpdate || expireTimer !== this.getExpirationTimer(msg.source)) {
+      await this.updateExpirationTimer(msg.source, expireTimer)
+    }
+  }
+
+  /**
+   * acknowledge received messages, one receipt per sender
+   * @private
+   * @param {Array} contents decoded Content protobufs
+   */
+  sendDeliveryReceipts(contents) {
+    const timestampsBySource = {}
+    contents.forEach(msg => {
+      if (!msg.dataMessage || !msg.dataMessage.timestamp) return
+      if (!timestampsBySource[msg.source]) timestampsBySource[msg.source] = []
+      timestampsBySource[msg.source].push(Number(msg.dataMessage.timestamp))
+    })
+    Object.keys(timestampsBySource).forEach(source => {
+      // don't hold up polling for the PoW
+      this.sendDeliveryReceipt(source, timestampsBySource[source]).catch(e => {
+        console.error('SessionClient::sendDeliveryReceipts - err', e)
+      })
+    })
+  }
+
+  /**
+   * poll a closed group's swarm and emit its messages
+   * @private
+   * @param {String} id closed group id
+   * @param {Boolean} [longPoll] let the snode hold the request until there's something new
+   * @param {object} [run] from the poller, see startBatch
+   * @fires SessionClient#messages
+   * @returns {Promise<Number>} how many messages we got, rejects if the swarm could not be reached
+   */
+  async pollClosedGroup(id, longPoll = false, run) {
+    const group = this.closedGroups[id]
+    if (!group) return 0
+    const batch = this.startBatch('closedGroup:' + id, run, async () => {
+      group.lastHash = result.lastHash
+      group.lastHashes = result.lastHashes
+      await this.saveClosedGroups()
+    })
+    const result = await this.recvLib.checkSwarm(
+      group.id, group.keypair, { lastHash: group.lastHash, lastHashes: group.lastHashes }, this.lib, this.debugTimer,
+      {
+        closedGroup: group,
+        ourPubkeyHex: this.ourPubkeyHex,
+        longPoll,
+        count: this.parallelRetrieve,
+        seen: this.seenFor(batch, 'hash'),
+        // retried until their sender key arrives
+        retry: group.undecoded
+      }
+    )
+    if (!result.ok) throw this.swarmError('closed group ' + id, result)
+    const now = Date.now()
+    result.messages.filter(msg => msg.missingSenderKey).forEach(msg => {
+      if (now - (group.senderKeyRequests[msg.source] || 0) < SENDER_KEY_REQUEST_INTERVAL) return
+      group.senderKeyRequests[msg.source] = now
+      this.sendClosedGroupUpdate(group, closedGroupUtils.UPDATE_TYPES.SENDER_KEY_REQUEST, [msg.source])
+    })
+    const messages = []
+    const received = this.dedupMessages(batch, 'envelope', result.messages.filter(msg => !msg.missingSenderKey),
+      msg => msg.source + ':' + msg.timestamp)
+    received.forEach(msg => {
+      if (msg.dataMessage && !(msg.dataMessage.flags & 1)) { // END_SESSION
+        messages.push({ ...this.normalizeDataMessage(msg), closedGroup: group.id })
+      }
+    })
+    // ratchets move
+    await this.saveClosedGroups()
+    this.emitMessages(messages, batch)
+    await this.finishBatch(batch)
+    return received.length
   }
 
   /**
@@ -340,13 +1134,21 @@ class SessionClient extends EventEmitter {
   close() {
     if (this.debugTimer) console.log('closing')
     this.pollServer = false
+    clearTimeout(this.watchdogTimer)
+    this.watchdogTimer = null
+    this.poller.stop()
+    // queued messages stay queued, open() resumes them
+    this.outbox.stop()
   }
 
   /**
    * get and decrypt all attachments
    * @public
-   * @param {Object} message message to download attachments from
+   * @param {Object|Array} message message to download attachments from, or a list of attachmentPointers
    * @return {Promise<Array>} an array of buffers of downloaded data
+   * @example
+   * // link preview images
+   * const images = await sessionClient.getAttachments(msg.previews.map(preview => preview.image))
    */
   async getAttachments(msg) {
     /*
@@ -372,10 +1174,11 @@ class SessionClient extends EventEmitter {
       url: 'https://file-static.lokinet.org/f/ciebnq'
     }
     */
-    return Promise.all(msg.attachments.map(async attachment => {
+    const attachments = Array.isArray(msg) ? msg : msg.attachments
+    return Promise.all(attachments.map(async attachment => {
       // attachment.key
       // could check digest too (should do that inside decryptCBC tho)
-      const res = await attachemntUtils.downloadEncryptedAttachment(attachment.url, attachment.key)
+      const res = await attachemntUtils.downloadEncryptedAttachment(attachment.url, attachment.key, this.lib)
       //console.log('attachmentRes', res)
       return res
     }))
@@ -388,7 +1191,38 @@ class SessionClient extends EventEmitter {
    * @return {Promise<Object>} returns an attachmentPointer
    */
   async makeImageAttachment(data) {
-    return attachemntUtils.uploadEncryptedAttachment(this.homeserver, data)
+    return attachemntUtils.uploadEncryptedAttachment(this.homeServer, data, this.lib)
+  }
+
+  /**
+   * make a link preview, uploading the image if there is one
+   * @public
+   * @param {String} url URL being previewed
+   * @param {String} [title] title of the page
+   * @param {Buffer} [imageData] preview image data
+   * @return {Promise<Object>} returns a preview to pass in options.previews
+   * @example
+   * const preview = await sessionClient.makePreview('https://getsession.org/', 'Session', fs.readFileSync('session.jpg'))
+   * sessionClient.send(SessionID, 'check out https://getsession.org/', { previews: [preview] })
+   */
+  async makePreview(url, title, imageData) {
+    const preview = { url, title }
+    if (imageData) {
+      preview.image = await this.makeImageAttachment(imageData)
+    }
+    return preview
+  }
+
+  /**
+   * download and decrypt a received contact card's avatar
+   * @public
+   * @param {Object} contact a contact from a message's contacts
+   * @return {Promise<Buffer>} image data, undefined if the contact has no avatar
+   */
+  async getContactAvatar(contact) {
+    if (!contact.avatar) return
+    const [data] = await this.getAttachments([contact.avatar])
+    return data
   }
 
   /**
@@ -400,7 +1234,7 @@ class SessionClient extends EventEmitter {
     if (!this.fileServerToken) {
       // we need a token...
       this.fileServerToken = await attachemntUtils.getToken(
-        this.homeserver, this.keypair.privKey, this.ourPubkeyHex
+        this.homeServer, this.keypair.privKey, this.ourPubkeyHex, this.lib
       )
       /**
        * Handle when we get a new home server token
@@ -413,6 +1247,7 @@ class SessionClient extends EventEmitter {
        * @type fileServerTokenCallback
        */
       this.emit('fileServerToken', this.fileServerToken)
+      await this.saveState('fileServerToken', this.fileServerToken)
     }
     // else maybe verify token
   }
@@ -431,7 +1266,7 @@ class SessionClient extends EventEmitter {
     }
     await this.ensureFileServerToken()
     const res = await attachemntUtils.uploadEncryptedAvatar(
-      this.homeserver, this.fileServerToken, this.ourPubkeyHex, data)
+      this.homeServer, this.fileServerToken, this.ourPubkeyHex, data, undefined, this.lib)
     //console.log('SessionClient::changeAvatar - res', res)
     /* profileKeyBuf: buffer
       url: string */
@@ -439,10 +1274,25 @@ class SessionClient extends EventEmitter {
     // update our state
     this.encAvatarUrl = res.url
     this.profileKeyBuf = res.profileKeyBuf
+    await this.saveAvatarState(data)
 
     return res
   }
 
+  /**
+   * persist current avatar, so we don't have to check the server on restart
+   * @private
+   * @param {Buffer} data image data the current avatar was made from
+   */
+  async saveAvatarState(data) {
+    this.avatarHash = crypto.createHash('sha256').update(data).digest('hex')
+    await this.saveState('avatar', {
+      url: this.encAvatarUrl,
+      profileKey64: this.profileKeyBuf.toString('base64'),
+      hash: this.avatarHash
+    })
+  }
+
   /**
    * decode an avatar (usually from a message)
    * @public
@@ -452,7 +1302,7 @@ class SessionClient extends EventEmitter {
    */
   async decodeAvatar(url, profileKeyUint8) {
     const buf = Buffer.from(profileKeyUint8)
-    return attachemntUtils.downloadEncryptedAvatar(url, buf)
+    return attachemntUtils.downloadEncryptedAvatar(url, buf, this.lib)
   }
 
   /**
@@ -463,7 +1313,7 @@ class SessionClient extends EventEmitter {
    * @returns {Promise<Buffer>} a buffer containing raw binary data for image of avatar
    */
   async getAvatar(fSrvUrl, pubkeyHex) {
-    return attachemntUtils.downloadEncryptedAvatar(fSrvUrl, pubkeyHex)
+    return attachemntUtils.downloadEncryptedAvatar(fSrvUrl, pubkeyHex, this.lib)
   }
 
   /**
@@ -477,16 +1327,54 @@ class SessionClient extends EventEmitter {
    * @param {object} [options.avatar] Avatar URL/ProfileKey to send
    * @param {object} [options.groupInvitation] groupInvitation to send
    * @param {object} [options.flags] message flags to set
-   * @param {object} [options.nullMessage] include a nullMessage
-   * @returns {Promise<Bool>} If operation was successful or not
+   * @param {Number} [options.expireTimer] disappear after this many seconds, Defaults: the conversation's timer
+   * @param {Number} [options.ttl] how long snodes keep it in ms, Defaults: 2 days, or expireTimer if that is shorter
+   * @param {Array} [options.previews] link previews {url, title, image} see makePreview
+   * @param {Array} [options.contacts] DataMessage.Contact protobufs, see sendContact
+   * @param {object} [options.quote] message this is a reply to
+   * @param {Number} options.quote.id timestamp of the message being replied to
+   * @param {String} options.quote.author pubkey of who sent the message being replied to
+   * @param {String} [options.quote.text] text of the message being replied to
+   * @param {Array} [options.quote.attachments] quoted attachments {contentType, fileName, thumbnail}
+   * @param {Number} [options.deadline] how long to keep trying other swarm members in ms, Defaults: requestDeadline
+   * @param {AbortSignal} [options.signal] cancels the proof of work, error is then aborted, see SWARM_ERRORS
+   * @param {Number} [options.timestamp] message timestamp in ms, pass the same one to re-send a message
+   * without the recipient seeing it twice, must be recent or snodes reject it, Defaults: now
+   * @returns {Promise<Object>} send result {ok, error, status, body, snode, attempts, timestamp, hash, destination, swarmNode, expiresAt}
+   * ok is true once a snode stored it, otherwise error is one of SessionClient.SWARM_ERRORS
+   * timestamp is the message's id in receipts and quotes, hash is the snodes' id for it,
+   * swarmNode is who stored it and expiresAt is when snodes drop it (in ms)
+   * @example
+   * const result = await sessionClient.send(msg.source, 'pong')
+   * if (!result.ok) console.warn('not delivered', result.error)
+   * @example
+   * // match the delivery receipt to what we sent
+   * const { timestamp } = await sessionClient.send(pubkey, 'Are you there?')
+   * sessionClient.on('receipt', receipt => {
+   *   if (receipt.timestamps.includes(timestamp)) console.log('delivered')
+   * })
    * @example
    * sessionClient.send('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a', 'I didn\'t change the pubkey')
+   * @example
+   * // reply to a received message
+   * sessionClient.send(msg.source, 'Got it', {
+   *   quote: { id: msg.timestamp, author: msg.source, text: msg.body }
+   * })
    */
   async send(destination, messageTextBody, options = {}) {
-    // lazy load recv library
-    if (!this.sendLib) {
-      this.sendLib = require('./lib/send.js')
-    }
+    const sendOptions = this.withExpirationTimer(destination, this.getSendOptions(options))
+    // they'll probably reply
+    this.poller.activity('inbox')
+    return this.getSendLib().send(destination, this.keypair, messageTextBody, this.lib, sendOptions)
+  }
+
+  /**
+   * send options with our profile and sessions
+   * @private
+   * @param {object} options caller's send options
+   * @returns {object} a copy with displayName, avatar and sessionStorage set
+   */
+  getSendOptions(options) {
     const sendOptions = { ...options }
     if (this.displayName) sendOptions.displayName = this.displayName
     if (this.encAvatarUrl && this.profileKeyBuf) {
@@ -495,7 +1383,263 @@ class SessionClient extends EventEmitter {
         profileKeyBuf: this.profileKeyBuf
       }
     }
-    return this.sendLib.send(destination, this.keypair, messageTextBody, lib, sendOptions)
+    sendOptions.sessionStorage = this.sessionStorage
+    return sendOptions
+  }
+
+  /**
+   * send options with the conversation's disappearing messages timer
+   * @private
+   * @param {String} destination pubkey of who it's for
+   * @param {object} options send options
+   * @returns {object} a copy with expireTimer set, unless the caller set it or the conversation has none
+   */
+  withExpirationTimer(destination, options) {
+    const sendOptions = { ...options }
+    if (sendOptions.expireTimer === undefined && this.expirationTimers[destination]) {
+      sendOptions.expireTimer = this.expirationTimers[destination]
+    }
+    return sendOptions
+  }
+
+  /**
+   * Send the same Session message to many people
+   * the message is built once per disappearing messages timer, swarms are looked up up front,
+   * then it's encrypted and sent per recipient
+   * @public
+   * @param {Array} destinations pubkeys of who you want to send to
+   * @param {String} [messageTextBody] text message to send
+   * @param {object} [options] Send options, see send
+   * @param {Number} [options.concurrency] how many recipients at once, Defaults: 4
+   * @param {Number} [options.rate] most recipients started per second, Defaults: no limit
+   * @returns {Promise<Object>} report {sent, failed, results}
+   * results has a send result (see send) with destination for every entry in destinations, in the same order
+   * a destination listed more than once is only sent to once, its entries share a result and count once in sent/failed
+   * @example
+   * const report = await sessionClient.sendMany(subscribers, 'Maintenance tonight at 22:00 UTC', { rate: 10 })
+   * report.results.filter(result => !result.ok).forEach(result => console.warn(result.destination, result.error))
+   */
+  async sendMany(destinations, messageTextBody, options = {}) {
+    const sendOptions = this.getSendOptions(options)
+    this.poller.activity('inbox')
+    // once each
+    const unique = Array.from(new Set(destinations))
+    // every conversation keeps its own timer
+    const byTimer = {}
+    unique.forEach(destination => {
+      const expireTimer = this.withExpirationTimer(destination, sendOptions).expireTimer || 0
+      if (!byTimer[expireTimer]) byTimer[expireTimer] = []
+      byTimer[expireTimer].push(destination)
+    })
+    const uniqueResults = []
+    // one after the other, so concurrency and rate still hold
+    for (const group of Object.values(byTimer)) {
+      const groupOptions = this.withExpirationTimer(group[0], sendOptions)
+      uniqueResults.push(...await this.getSendLib().sendMany(group, this.keypair, messageTextBody, this.lib, groupOptions))
+    }
+    const byDestination = {}
+    uniqueResults.forEach(result => {
+      byDestination[result.destination] = result
+    })
+    const sent = uniqueResults.filter(result => result.ok).length
+    return {
+      sent,
+      failed: uniqueResults.length - sent,
+      results: destinations.map(destination => byDestination[destination])
+    }
+  }
+
+  /**
+   * Queue a Session message, it's retried with backoff across swarm members until it's stored or expires
+   * the queue is persisted in the store, so it survives restarts
+   * @public
+   * @param {String} destination pubkey of who you want to send to
+   * @param {String} [messageTextBody] text message to send
+   * @param {object} [options] Send options, see send, must be JSON serializable to survive a restart
+   * @returns {Promise<String>} queue id, see the sent and sendFailed events
+   * @example
+   * sessionClient.on('sent', sent => console.log('paged', sent.destination, 'after', sent.attempts, 'tries'))
+   * sessionClient.on('sendFailed', failed => console.error('could not page', failed.destination, failed.error))
+   * const id = await sessionClient.sendQueued(onCallPubkey, 'Disk full on db1')
+   */
+  async sendQueued(destination, messageTextBody, options = {}) {
+    // pin it, so the ttl doesn't change between retries
+    const queueOptions = this.withExpirationTimer(destination, options)
+    const timestamp = Date.now()
+    return this.outbox.enqueue({
+      destination,
+      body: messageTextBody,
+      options: queueOptions,
+      timestamp,
+      expiresAt: timestamp + this.getSendLib().messageTTL(queueOptions)
+    })
+  }
+
+  /**
+   * Stop retrying a queued message
+   * @public
+   * @param {String} id what sendQueued returned
+   * @returns {Promise<Bool>} false if it's not queued (anymore)
+   */
+  async cancelQueued(id) {
+    return this.outbox.cancel(id)
+  }
+
+  /**
+   * Set the disappearing messages timer for a conversation and let them know
+   * @public
+   * @param {String} destination pubkey of the conversation
+   * @param {Number} expireTimer seconds until messages disappear, 0 to disable
+   * @returns {Promise<Object>} send result, see send
+   * @example
+   * // messages disappear after a day
+   * sessionClient.setExpirationTimer('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a', 86400)
+   */
+  async setExpirationTimer(destination, expireTimer) {
+    if (expireTimer) {
+      this.expirationTimers[destination] = expireTimer
+    } else {
+      delete this.expirationTimers[destination]
+    }
+    await this.saveState('expirationTimers', this.expirationTimers)
+    return this.getSendLib().send(destination, this.keypair, '', this.lib, {
+      flags: 2, // EXPIRATION_TIMER_UPDATE
+      expireTimer: expireTimer,
+      sessionStorage: this.sessionStorage
+    })
+  }
+
+  /**
+   * Get the disappearing messages timer for a conversation
+   * @public
+   * @param {String} destination pubkey of the conversation
+   * @returns {Number} seconds until messages disappear, 0 if disabled
+   */
+  getExpirationTimer(destination) {
+    return this.expirationTimers[destination] || 0
+  }
+
+  /**
+   * lazy load send library
+   * @private
+   * @returns {Object} send library
+   */
+  getSendLib() {
+    if (!this.sendLib) {
+      this.sendLib = require('./lib/send.js')
+    }
+    return this.sendLib
+  }
+
+  /**
+   * Tell a sender we received their messages
+   * @public
+   * @param {String} destination pubkey of who sent the messages
+   * @param {Number|Array<Number>} timestamps timestamp(s) of the received messages
+   * @returns {Promise<Object>} send result, see send
+   * @example
+   * sessionClient.sendDeliveryReceipt('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a', msg.timestamp)
+   */
+  async sendDeliveryReceipt(destination, timestamps) {
+    return this.getSendLib().sendReceipt(destination, this.keypair, 'delivery',
+      [].concat(timestamps), this.lib, { sessionStorage: this.sessionStorage })
+  }
+
+  /**
+   * Tell a sender we read their messages
+   * @public
+   * @param {String} destination pubkey of who sent the messages
+   * @param {Number|Array<Number>} timestamps timestamp(s) of the read messages
+   * @returns {Promise<Object>} send result, see send
+   * @example
+   * sessionClient.sendReadReceipt('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a', msg.timestamp)
+   */
+  async sendReadReceipt(destination, timestamps) {
+    return this.getSendLib().sendReceipt(destination, this.keypair, 'read',
+      [].concat(timestamps), this.lib, { sessionStorage: this.sessionStorage })
+  }
+
+  /**
+   * Send a contact card
+   * @public
+   * @param {String} destination pubkey of who you want to send to
+   * @param {Object} contact contact to share
+   * @param {Object} [contact.name] {displayName, givenName, familyName, middleName, prefix, suffix}
+   * @param {Array} [contact.phones] {value, type: home|mobile|work|custom, label}
+   * @param {Array} [contact.emails] {value, type: home|mobile|work|custom, label}
+   * @param {Array} [contact.addresses] {type: home|work|custom, label, street, pobox, neighborhood, city, region, postcode, country}
+   * @param {String} [contact.organization] company name
+   * @param {Buffer|Object} [contact.avatar] image data to upload or an attachmentPointer
+   * @param {object} [options] Send options, see send
+   * @returns {Promise<Object|Bool>} send result (see send), false if contact is invalid
+   * @example
+   * sessionClient.sendContact('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a', {
+   *   name: { displayName: 'On-call engineer' },
+   *   phones: [{ value: '+15555550100', type: 'work' }]
+   * })
+   */
+  async sendContact(destination, contact, options = {}) {
+    const err = contactUtils.validateContact(contact)
+    if (err) {
+      console.error('SessionClient::sendContact - invalid contact,', err)
+      return false
+    }
+    let avatarPointer = contact.avatar
+    if (Buffer.isBuffer(avatarPointer)) {
+      avatarPointer = await this.makeImageAttachment(avatarPointer)
+    }
+    return this.send(destination, options.body, {
+      ...options,
+      contacts: [contactUtils.toContactProto(contact, avatarPointer)]
+    })
+  }
+
+  /**
+   * Send a typing indicator
+   * @public
+   * @param {String} destination pubkey of who you want to send to
+   * @param {String} action started or stopped
+   * @returns {Promise<Object|Bool>} send result (see send), false if action is invalid
+   * @example
+   * sessionClient.sendTyping('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a', 'started')
+   */
+  async sendTyping(destination, action) {
+    if (action !== 'started' && action !== 'stopped') {
+      console.error('SessionClient::sendTyping - action must be started or stopped, got', action)
+      return false
+    }
+    return this.getSendLib().sendTyping(destination, this.keypair, action, this.lib, {
+      sessionStorage: this.sessionStorage
+    })
+  }
+
+  /**
+   * Show as typing while an async handler runs
+   * re-sends started periodically, so long handlers don't time out on the other end
+   * @public
+   * @param {String} destination pubkey of who you're replying to
+   * @param {Function} handler async function to run while typing
+   * @returns {Promise<*>} whatever handler returns
+   * @example
+   * sessionClient.withTyping(msg.source, async () => {
+   *   const reply = await slowLookup(msg.body)
+   *   await sessionClient.send(msg.source, reply)
+   * })
+   */
+  async withTyping(destination, handler) {
+    const logErr = e => console.error('SessionClient::withTyping - err', e)
+    // don't delay the handler on PoW
+    let pending = this.sendTyping(destination, 'started').catch(logErr)
+    const timer = setInterval(() => {
+      pending = pending.then(() => this.sendTyping(destination, 'started')).catch(logErr)
+    }, TYPING_REFRESH_INTERVAL)
+    try {
+      return await handler()
+    } finally {
+      clearInterval(timer)
+      await pending
+      await this.sendTyping(destination, 'stopped').catch(logErr)
+    }
   }
 
   /**
@@ -506,18 +1650,19 @@ class SessionClient extends EventEmitter {
    * @param {String} serverName Server description
    * @param {String} serverAddress Server URL
    * @param {Number} channelId Channel number
-   * @returns {Promise<Bool>} If operation was successful or not
+   * @returns {Promise<Object>} send result, see send
    * @example
    * sessionClient.sendOpenGroupInvite('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a', 'Session Chat', 'https://chat.getsession.org/', 1)
    */
   async sendOpenGroupInvite(destination, serverName, serverAddress, channelId) {
-    return this.sendLib.send(destination, this.keypair, undefined, lib, {
+    return this.getSendLib().send(destination, this.keypair, undefined, this.lib, this.withExpirationTimer(destination, {
       groupInvitation: {
         serverAddress: serverAddress,
         channelId: parseInt(channelId),
         serverName: serverName
-      }
-    })
+      },
+      sessionStorage: this.sessionStorage
+    }))
   }
 
   /**
@@ -527,7 +1672,7 @@ class SessionClient extends EventEmitter {
    * @param {String} serverName Server description
    * @param {String} serverAddress Server URL
    * @param {Number} channelId Channel number
-   * @returns {Promise<Bool>} If operation was successful or not
+   * @returns {Promise<Object>} send result, see send
    * @example
    * sessionClient.sendOpenGroupInvite('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a', 'Session Chat', 'https://chat.getsession.org/', 1)
    */
@@ -549,30 +1694,325 @@ class SessionClient extends EventEmitter {
    * Request a session reset
    * @public
    * @param {String} destination pubkey of who you want to send to
-   * @returns {Promise<Bool>} If operation was successful or not
+   * @returns {Promise<Object>} send result, see send
    * @example
    * sessionClient.sendSessionReset('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a')
    */
   async sendSessionReset(destination) {
-    return this.sendLib.send(destination, this.keypair, 'TERMINATE', lib, {
-      flags: 1
-    })
+    // goes out as a session request, they'll reset theirs when they see it
+    await sessionUtils.resetSession(this.sessionStorage, destination)
+    return this.getSendLib().send(destination, this.keypair, 'TERMINATE', this.lib, this.withExpirationTimer(destination, {
+      flags: 1, // END_SESSION
+      sessionStorage: this.sessionStorage
+    }))
   }
 
   /**
    * Respond that session has been established
    * @public
    * @param {String} destination pubkey of who you want to send to
-   * @returns {Promise<Bool>} If operation was successful or not
+   * @returns {Promise<Object>} send result, see send
    * @example
    * sessionClient.sendSessionEstablished('05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a')
    */
   async sendSessionEstablished(destination) {
-    return this.sendLib.send(destination, this.keypair, '', lib, {
-      nullMessage: true
+    return this.getSendLib().sendNullMessage(destination, this.keypair, this.lib, {
+      sessionStorage: this.sessionStorage
     })
   }
 
+  /**
+   * reset and set up ratcheted sessions from session requests and resets
+   * @private
+   * @param {object} msg decoded Content with source
+   */
+  async handleSessionRequest(msg) {
+    try {
+      if (msg.dataMessage && (msg.dataMessage.flags & 1)) { // END_SESSION
+        await sessionUtils.resetSession(this.sessionStorage, msg.source)
+      }
+      const bundle = msg.preKeyBundleMessage
+      if (!bundle) return
+      const bundleId = bundle.preKeyId + ':' + bundle.signedKeyId
+      const last = this.sessionBundles[msg.source]
+      if (await sessionUtils.hasSession(this.sessionStorage, msg.source)) {
+        // a bundle we haven't used means they started over (like after a reinstall)
+        // and can't read our current session, but don't let anyone churn it
+        if (last && (last.bundle === bundleId || Date.now() - last.at < SESSION_REBUILD_INTERVAL)) return
+      }
+      const ok = await sessionUtils.processPreKeyBundle(this.sessionStorage, msg.source, bundle)
+      if (ok) {
+        this.sessionBundles[msg.source] = { bundle: bundleId, at: Date.now() }
+        // our first ratcheted message lets them finish their side
+        await this.sendSessionEstablished(msg.source)
+      }
+    } catch (e) {
+      console.error('SessionClient::handleSessionRequest - err', msg.source, e)
+    }
+  }
+
+  /**
+   * persist all closed groups
+   * @private
+   */
+  async saveClosedGroups() {
+    const closedGroups = {}
+    Object.keys(this.closedGroups).forEach(id => {
+      closedGroups[id] = this.closedGroups[id].toJSON()
+    })
+    await this.saveState('closedGroups', closedGroups)
+  }
+
+  /**
+   * send a MediumGroupUpdate to some members
+   * @private
+   * @param {Object} group SessionClosedGroup
+   * @param {Number} type MediumGroupUpdate.Type
+   * @param {Array<String>} pubkeys who to send it to
+   * @returns {Promise<Bool>} If all sends were successful or not
+   */
+  async sendClosedGroupUpdate(group, type, pubkeys) {
+    const T = closedGroupUtils.UPDATE_TYPES
+    let update
+    switch (type) {
+      case T.NEW:
+        // include every sender key we know, so they can read everyone right away
+        update = group.getUpdate(type, {
+          senderKeys: Object.keys(group.senderKeys).map(pubkeyHex => group.getSenderKey(pubkeyHex))
+        })
+        break
+      case T.INFO:
+        update = group.getUpdate(type)
+        break
+      case T.SENDER_KEY:
+        update = {
+          type,
+          groupPublicKey: group.keypair.pubKey,
+          senderKeys: [group.getSenderKey(this.ourPubkeyHex)]
+        }
+        break
+      default: // SENDER_KEY_REQUEST, QUIT
+        update = { type, groupPublicKey: group.keypair.pubKey }
+    }
+    const results = await Promise.all(pubkeys
+      .filter(pubkeyHex => pubkeyHex !== this.ourPubkeyHex)
+      .map(pubkeyHex => this.getSendLib().send(pubkeyHex, this.keypair, '', this.lib, this.withExpirationTimer(pubkeyHex, {
+        mediumGroupUpdate: update,
+        sessionStorage: this.sessionStorage
+      })).catch(e => {
+        console.error('SessionClient::sendClosedGroupUpdate - err', e)
+        return false
+      }))
+    )
+    return results.every(result => result && result.ok)
+  }
+
+  /**
+   * process a MediumGroupUpdate received in a DM
+   * @private
+   * @param {String} source pubkey of who sent the update
+   * @param {Object} update MediumGroupUpdate protobuf
+   * @fires SessionClient#closedGroupUpdate
+   */
+  async handleClosedGroupUpdate(source, update) {
+    const T = closedGroupUtils.UPDATE_TYPES
+    const groupId = Buffer.from(update.groupPublicKey).toString('hex')
+    let group = this.closedGroups[groupId]
+    const typeName = Object.keys(T).find(name => T[name] === update.type)
+    switch (update.type) {
+      case T.NEW: {
+        const newGroup = closedGroupUtils.groupFromUpdate(update)
+        // the update's own admin list is only trusted when we don't know the group yet
+        const admin = group ? group.isAdmin(source) : newGroup.isAdmin(source)
+        if (!admin || !newGroup.isMember(this.ourPubkeyHex)) {
+          console.warn('SessionClient::handleClosedGroupUpdate - ignoring invalid NEW for', groupId, 'from', source)
+          return
+        }
+        if (group) {
+          // we've been re-added, keep our lastHash
+          newGroup.lastHash = group.lastHash
+          newGroup.lastHashes = group.lastHashes
+          newGroup.undecoded = group.undecoded
+        }
+        group = this.closedGroups[groupId] = newGroup
+        group.resetRatchet(this.ourPubkeyHex)
+        this.sendClosedGroupUpdate(group, T.SENDER_KEY, group.members)
+        break
+      }
+      case T.INFO: {
+        if (!group || !group.isAdmin(source)) return
+        const toHex = buf => Buffer.from(buf).toString('hex')
+        group.name = update.name
+        const removed = group.setMembers(update.members.map(toHex), update.admins.map(toHex))
+        if (!group.isMember(this.ourPubkeyHex)) {
+          delete this.closedGroups[groupId]
+        } else
+        if (removed.length) {
+          // new chain, so removed members can't read our new messages
+          group.resetRatchet(this.ourPubkeyHex)
+          this.sendClosedGroupUpdate(group, T.SENDER_KEY, group.members)
+        }
+        break
+      }
+      case T.SENDER_KEY:
+        if (!group) return
+        // only accept a member's own key
+        update.senderKeys
+          .filter(senderKey => Buffer.from(senderKey.publicKey).toString('hex') === source)
+          .forEach(senderKey => group.setSenderKey(senderKey))
+        delete group.senderKeyRequests[source]
+        // retry what we couldn't decrypt
+        this.poller.activity('closedGroup:' + groupId)
+        break
+      case T.SENDER_KEY_REQUEST:
+        if (!group || !group.isMember(source)) return
+        this.sendClosedGroupUpdate(group, T.SENDER_KEY, [source])
+        break
+      case T.QUIT:
+        if (!group || !group.isMember(source)) return
+        group.setMembers(group.members.filter(pubkeyHex => pubkeyHex !== source),
+          group.admins.filter(pubkeyHex => pubkeyHex !== source))
+        group.resetRatchet(this.ourPubkeyHex)
+        this.sendClosedGroupUpdate(group, T.SENDER_KEY, group.members)
+        break
+      default:
+        console.warn('SessionClient::handleClosedGroupUpdate - unknown type', update.type)
+        return
+    }
+    await this.saveClosedGroups()
+    this.updatePollSources()
+    /**
+     * closed group change
+     * @callback closedGroupUpdateCallback
+     * @param {object} update
+     * @param {String} update.type NEW, INFO, SENDER_KEY, SENDER_KEY_REQUEST or QUIT
+     * @param {String} update.closedGroup group id
+     * @param {String} update.source pubkey of who sent the update
+     * @param {Boolean} update.active are we still in the group
+     */
+    /**
+     * Closed group was created, changed or someone rotated keys
+     * @event SessionClient#closedGroupUpdate
+     * @type closedGroupUpdateCallback
+     */
+    this.emit('closedGroupUpdate', {
+      type: typeName,
+      closedGroup: groupId,
+      source,
+      active: !!this.closedGroups[groupId]
+    })
+  }
+
+  /**
+   * Create a closed group
+   * @public
+   * @param {String} name group name
+   * @param {Array<String>} members pubkeys of other members
+   * @param {Array<String>} [admins] pubkeys of admins, Defaults: just us
+   * @returns {Promise<String>} group id
+   * @example
+   * const groupId = await sessionClient.createClosedGroup('On-call', ['05d233c6c8daed63a48dfc872a6602512fd5a18fc764a6d75a08b9b25e7562851a'])
+   */
+  async createClosedGroup(name, members, admins = [this.ourPubkeyHex]) {
+    members = Array.from(new Set([this.ourPubkeyHex, ...members]))
+    const group = closedGroupUtils.createGroup(name, members, admins)
+    group.resetRatchet(this.ourPubkeyHex)
+    this.closedGroups[group.id] = group
+    await this.saveClosedGroups()
+    this.updatePollSources()
+    await this.sendClosedGroupUpdate(group, closedGroupUtils.UPDATE_TYPES.NEW, members)
+    return group.id
+  }
+
+  /**
+   * Send a closed group message
+   * @public
+   * @param {String} groupId closed group id
+   * @param {String} [messageTextBody] text message to send
+   * @param {object} [options] Send options, see send
+   * @returns {Promise<Object|Bool>} send result (see send), false if we are not in the group
+   */
+  async sendClosedGroupMessage(groupId, messageTextBody, options = {}) {
+    const group = this.closedGroups[groupId]
+    if (!group) {
+      console.error('SessionClient::sendClosedGroupMessage - no such closed group', groupId)
+      return false
+    }
+    const sendOptions = this.getSendOptions(options)
+    this.poller.activity('closedGroup:' + groupId)
+    const result = await this.getSendLib().sendClosedGroup(group, this.keypair, messageTextBody, this.lib, sendOptions)
+    // our ratchet moved
+    await this.saveClosedGroups()
+    return result
+  }
+
+  /**
+   * Add members to a closed group, must be an admin
+   * @public
+   * @param {String} groupId closed group id
+   * @param {Array<String>} pubkeys who to add
+   * @returns {Promise<Bool>} If operation was successful or not
+   */
+  async addClosedGroupMembers(groupId, pubkeys) {
+    const group = this.closedGroups[groupId]
+    if (!group || !group.isAdmin(this.ourPubkeyHex)) {
+      console.error('SessionClient::addClosedGroupMembers - not an admin of', groupId)
+      return false
+    }
+    const added = pubkeys.filter(pubkeyHex => !group.isMember(pubkeyHex))
+    const existing = group.members
+    group.setMembers(existing.concat(added))
+    await this.saveClosedGroups()
+    const infoOk = await this.sendClosedGroupUpdate(group, closedGroupUtils.UPDATE_TYPES.INFO, existing)
+    const newOk = await this.sendClosedGroupUpdate(group, closedGroupUtils.UPDATE_TYPES.NEW, added)
+    return infoOk && newOk
+  }
+
+  /**
+   * Remove members from a closed group, must be an admin
+   * @public
+   * @param {String} groupId closed group id
+   * @param {Array<String>} pubkeys who to remove
+   * @returns {Promise<Bool>} If operation was successful or not
+   */
+  async removeClosedGroupMembers(groupId, pubkeys) {
+    const group = this.closedGroups[groupId]
+    if (!group || !group.isAdmin(this.ourPubkeyHex)) {
+      console.error('SessionClient::removeClosedGroupMembers - not an admin of', groupId)
+      return false
+    }
+    const removed = group.setMembers(
+      group.members.filter(pubkeyHex => !pubkeys.includes(pubkeyHex)),
+      group.admins.filter(pubkeyHex => !pubkeys.includes(pubkeyHex))
+    )
+    // new chain, so removed members can't read our new messages
+    group.resetRatchet(this.ourPubkeyHex)
+    await this.saveClosedGroups()
+    // removed members need to know too
+    const infoOk = await this.sendClosedGroupUpdate(group, closedGroupUtils.UPDATE_TYPES.INFO,
+      group.members.concat(removed))
+    const keyOk = await this.sendClosedGroupUpdate(group, closedGroupUtils.UPDATE_TYPES.SENDER_KEY, group.members)
+    return infoOk && keyOk
+  }
+
+  /**
+   * Leave a closed group
+   * @public
+   * @param {String} groupId closed group id
+   * @returns {Promise<Bool>} If operation was successful or not
+   */
+  async leaveClosedGroup(groupId) {
+    const group = this.closedGroups[groupId]
+    if (!group) {
+      console.error('SessionClient::leaveClosedGroup - no such closed group', groupId)
+      return false
+    }
+    delete this.closedGroups[groupId]
+    await this.saveClosedGroups()
+    this.updatePollSources()
+    return this.sendClosedGroupUpdate(group, closedGroupUtils.UPDATE_TYPES.QUIT, group.members)
+  }
+
   /**
    * Join Open Group, Receive Open Group token
    * @public
@@ -580,21 +2020,42 @@ class SessionClient extends EventEmitter {
    * @param {String} open group URL (without protocol)
    * @param {Number} open group Channel
    * @returns {Promise<Object>} Object {token: {String}, channelId: {Int}, lastMessageId: {Int}}
+   * or false if we can't onion route to it
    * @example
    * sessionClient.joinOpenGroup('chat.getsession.org')
    */
   async joinOpenGroup(openGroupURL, channelId = 1) {
+    if (this.onion && !this.onion.hasServerKey('https://' + openGroupURL)) {
+      console.error('SessionClient::joinOpenGroup - no onionServerPubkeys entry for', openGroupURL)
+      return false
+    }
     console.log('Joining Open Group', openGroupURL)
     const id = openGroupURL + '_' + channelId
+    const groupState = (await this.loadState('openGroup:' + id)) || {}
     this.openGroupServers[id] = new openGroupUtils.SessionOpenGroupChannel(openGroupURL, {
       channelId: channelId,
       keypair: this.keypair,
+      token: groupState.token,
+      lib: this.lib
     })
-    this.openGroupServers[id].token = await openGroupUtils.getToken(openGroupURL,
-      this.keypair.privKey, this.ourPubkeyHex)
+    if (!this.openGroupServers[id].token) {
+      this.openGroupServers[id].token = await openGroupUtils.getToken(openGroupURL,
+        this.keypair.privKey, this.ourPubkeyHex, this.lib)
+    }
 
-    const subscriptionResult = await this.openGroupServers[id].subscribe()
-    this.openGroupServers[id].lastId = subscriptionResult && subscriptionResult.data && subscriptionResult.data.recent_message_id
+    let subscriptionResult = await this.openGroupServers[id].subscribe()
+    if (!subscriptionResult && groupState.token) {
+      // persisted token may have expired
+      console.warn('SessionClient::joinOpenGroup - stored token rejected, getting a new one')
+      this.openGroupServers[id].token = await openGroupUtils.getToken(openGroupURL,
+        this.keypair.privKey, this.ourPubkeyHex, this.lib)
+      subscriptionResult = await this.openGroupServers[id].subscribe()
+    }
+    // resume where we left off, otherwise start from the most recent message
+    this.openGroupServers[id].lastId = groupState.lastId ||
+      (subscriptionResult && subscriptionResult.data && subscriptionResult.data.recent_message_id)
+    await this.saveOpenGroupState(id)
+    this.updatePollSources()
 
     // stay backwards compatible
     return {
@@ -606,6 +2067,19 @@ class SessionClient extends EventEmitter {
     }
   }
 
+  /**
+   * persist an open group's token and cursor
+   * @private
+   * @param {String} id open group id
+   */
+  async saveOpenGroupState(id) {
+    const channel = this.openGroupServers[id]
+    await this.saveState('openGroup:' + id, {
+      token: channel.token,
+      lastId: channel.lastId
+    })
+  }
+
   /**
    * Send Open Group Message
    * @public
@@ -625,6 +2099,7 @@ class SessionClient extends EventEmitter {
       console.error('sendOpenGroupMessage - no such openGroup', openGroup)
       return false
     }
+    this.poller.activity('openGroup:' + openGroup)
     const sendMessageResult = await this.openGroupServers[openGroup].send(messageTextBody)
     return sendMessageResult
   }
@@ -652,4 +2127,9 @@ class SessionClient extends EventEmitter {
   }
 }
 
+SessionClient.MemoryStore = storeUtils.MemoryStore
+SessionClient.FileStore = storeUtils.FileStore
+SessionClient.Network = networkUtils.Network
+SessionClient.SWARM_ERRORS = networkUtils.SWARM_ERRORS
+
 module.exports = SessionClient